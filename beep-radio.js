@@ -0,0 +1,659 @@
+/**
+ * <beep-radio> web component: an embeddable Beeptunes radio player.
+ *
+ * Load i18n.js and player-core.js, then this file:
+ *   <script src="i18n.js"></script>
+ *   <script src="player-core.js"></script>
+ *   <script src="beep-radio.js"></script>
+ *   <beep-radio station="aramesh" theme="dark" compact></beep-radio>
+ *
+ * Attributes: station (shortcode), theme (dark | light), compact, server (AzuraCast base URL),
+ * lang (fa | en, default: the page's active locale).
+ * Methods: play(), pause(), setStation(shortcode).
+ * Events (bubbling, composed): trackchange, statechange, stationchange, error;
+ * event.detail carries the player core's event data.
+ *
+ * All instances share one AudioContext, which plays one instance at a time: whenever an
+ * instance starts playing (play button, play(), a station switch or a reconnect), the others
+ * stop. Removing an element from the page disconnects its audio nodes from the context.
+ */
+
+// --- Embed Settings ---
+const EMBED_DEFAULT_VOLUME = 0.8;
+const EMBED_FFT_SIZE = 128;
+const EMBED_BAR_SPACING = 1;
+const EMBED_BAR_COLOR = '#a7f3d0';
+const EMBED_FORWARDED_EVENTS = ['trackchange', 'statechange', 'stationchange', 'error'];
+
+const EMBED_TEMPLATE = document.createElement('template');
+EMBED_TEMPLATE.innerHTML = `
+    <style>
+        :host {
+            --beep-bg: #161b22;
+            --beep-border: #30363d;
+            --beep-text: #ffffff;
+            --beep-muted: #8b949e;
+            --beep-accent: #2ea043;
+            --beep-link: #58a6ff;
+            --beep-button: #21262d;
+            display: block;
+            max-width: 450px;
+            font-family: 'Vazirmatn', sans-serif;
+            color: var(--beep-text);
+        }
+        :host([theme="light"]) {
+            --beep-bg: #ffffff;
+            --beep-border: #d0d7de;
+            --beep-text: #1f2328;
+            --beep-muted: #656d76;
+            --beep-link: #0969da;
+            --beep-button: #f6f8fa;
+        }
+        :host([hidden]) {
+            display: none;
+        }
+        .player {
+            background-color: var(--beep-bg);
+            border: 1px solid var(--beep-border);
+            border-radius: 1rem;
+            padding: 1rem;
+        }
+        .now-playing {
+            display: flex;
+            align-items: center;
+            gap: 0.75rem;
+        }
+        .art {
+            width: 96px;
+            height: 96px;
+            flex-shrink: 0;
+            object-fit: cover;
+            border-radius: 0.75rem;
+        }
+        .info {
+            flex: 1;
+            min-width: 0;
+        }
+        .info p {
+            margin: 0;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        .station-name {
+            color: var(--beep-link);
+            font-size: 0.875rem;
+            font-weight: 700;
+        }
+        .title {
+            font-size: 1.125rem;
+            font-weight: 700;
+        }
+        .artist {
+            color: var(--beep-muted);
+            font-size: 0.875rem;
+        }
+        .visualizer {
+            display: block;
+            width: 100%;
+            height: 48px;
+            margin-top: 0.75rem;
+            border-radius: 0.5rem;
+            background-color: #111827;
+        }
+        .progress {
+            height: 4px;
+            margin-top: 0.75rem;
+            border-radius: 9999px;
+            background-color: var(--beep-border);
+            overflow: hidden;
+        }
+        .progress-bar {
+            width: 0%;
+            height: 100%;
+            background-color: var(--beep-accent);
+            transition: width 0.3s;
+        }
+        .controls {
+            display: flex;
+            align-items: center;
+            gap: 0.75rem;
+            margin-top: 0.75rem;
+        }
+        .play-btn {
+            width: 2.75rem;
+            height: 2.75rem;
+            flex-shrink: 0;
+            border: none;
+            border-radius: 50%;
+            background-color: var(--beep-accent);
+            color: #ffffff;
+            font-size: 1rem;
+            cursor: pointer;
+        }
+        .play-btn[aria-busy="true"] {
+            opacity: 0.6;
+        }
+        .volume {
+            flex: 1;
+            accent-color: var(--beep-accent);
+        }
+        .stations {
+            display: flex;
+            gap: 0.5rem;
+            margin-top: 0.75rem;
+            overflow-x: auto;
+        }
+        .station-btn {
+            padding: 0.375rem 0.75rem;
+            border: 1px solid transparent;
+            border-radius: 0.5rem;
+            background-color: var(--beep-button);
+            color: var(--beep-muted);
+            font: inherit;
+            font-size: 0.75rem;
+            white-space: nowrap;
+            cursor: pointer;
+        }
+        .station-btn[aria-pressed="true"] {
+            border-color: var(--beep-link);
+            color: var(--beep-text);
+        }
+        .station-btn:disabled {
+            opacity: 0.45;
+            cursor: not-allowed;
+        }
+        :host([compact]) .player {
+            padding: 0.5rem 0.75rem;
+        }
+        :host([compact]) .art {
+            width: 48px;
+            height: 48px;
+            border-radius: 0.5rem;
+        }
+        :host([compact]) .title {
+            font-size: 1rem;
+        }
+        :host([compact]) .visualizer,
+        :host([compact]) .progress {
+            display: none;
+        }
+    </style>
+    <div class="player" part="player">
+        <div class="now-playing">
+            <img class="art" part="art" alt="">
+            <div class="info">
+                <p class="station-name"></p>
+                <p class="title"></p>
+                <p class="artist"></p>
+            </div>
+        </div>
+        <canvas class="visualizer" part="visualizer"></canvas>
+        <div class="progress"><div class="progress-bar"></div></div>
+        <div class="controls">
+            <button class="play-btn" part="play-button" aria-label="پخش یا مکث" data-i18n-attr="aria-label:player.playPause">▶</button>
+            <input class="volume" type="range" min="0" max="1" step="0.01" aria-label="بلندی صدا" data-i18n-attr="aria-label:player.volume">
+        </div>
+        <div class="stations" part="stations" role="group" aria-label="ایستگاه‌ها" data-i18n-attr="aria-label:stations.group"></div>
+    </div>
+`;
+
+// --- Shared Audio ---
+let sharedAudioContext = null;
+const beepRadioInstances = new Set();
+
+/**
+ * Makes an instance the only one playing on the shared AudioContext: stops every other instance.
+ * @param {HTMLElement} owner - The instance that starts playing.
+ */
+function claimSharedAudio(owner) {
+    beepRadioInstances.forEach(instance => {
+        if (instance !== owner) instance.pause();
+    });
+}
+
+/**
+ * Returns the AudioContext shared by every <beep-radio> (created on first use, inside a user gesture).
+ * @returns {AudioContext}
+ */
+function getSharedAudioContext() {
+    if (!sharedAudioContext) {
+        sharedAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return sharedAudioContext;
+}
+
+/**
+ * Returns true if HLS streams can play: natively (Safari) or through hls.js.
+ */
+function canPlayEmbedHls() {
+    return Boolean(new Audio().canPlayType('application/vnd.apple.mpegurl')) || Boolean(window.Hls && Hls.isSupported());
+}
+
+/**
+ * Creates an audio output for one <beep-radio>: its own audio element and
+ * analyser/volume nodes, connected to the shared AudioContext.
+ * @param {number} initialVolume - Volume (0-1).
+ * @param {Function} onPlay - Called before every play (claims the shared AudioContext).
+ * @returns {object} Audio output (see createPlayerCore) plus analyser access, setVolume() and destroy().
+ */
+function createEmbedAudioOutput(initialVolume, onPlay) {
+    const audioElement = new Audio();
+    audioElement.crossOrigin = 'anonymous'; // Required for audio analysis
+    audioElement.preload = 'none';
+
+    let handleEvent = () => {};
+    let hlsPlayer = null;
+    let sourceNode = null;
+    let analyser = null;
+    let gainNode = null;
+    let volume = initialVolume;
+
+    ['playing', 'waiting', 'stalled'].forEach(eventName => {
+        audioElement.addEventListener(eventName, () => handleEvent(eventName));
+    });
+    audioElement.addEventListener('error', () => handleEvent('error'));
+
+    /**
+     * Stops and removes the hls.js player.
+     */
+    function destroyHlsPlayer() {
+        if (hlsPlayer) {
+            hlsPlayer.destroy();
+            hlsPlayer = null;
+        }
+    }
+
+    return {
+        onEvent(handler) {
+            handleEvent = handler;
+        },
+
+        load(stream) {
+            destroyHlsPlayer();
+
+            const useHlsJs = stream.type === 'hls'
+                && !audioElement.canPlayType('application/vnd.apple.mpegurl')
+                && window.Hls && Hls.isSupported();
+
+            if (useHlsJs) {
+                hlsPlayer = new Hls();
+                hlsPlayer.on(Hls.Events.ERROR, (event, data) => {
+                    if (data.fatal) {
+                        handleEvent('error', `HLS ${data.type}`);
+                    }
+                });
+                hlsPlayer.loadSource(stream.url);
+                hlsPlayer.attachMedia(audioElement);
+                return;
+            }
+
+            audioElement.src = stream.url;
+            audioElement.load();
+        },
+
+        async play() {
+            onPlay();
+            const audioContext = getSharedAudioContext();
+
+            // element -> analyser -> volume -> output (built once per instance)
+            if (!analyser) {
+                analyser = audioContext.createAnalyser();
+                analyser.fftSize = EMBED_FFT_SIZE;
+                gainNode = audioContext.createGain();
+                gainNode.gain.value = volume;
+                sourceNode = audioContext.createMediaElementSource(audioElement);
+                sourceNode.connect(analyser);
+                analyser.connect(gainNode);
+                gainNode.connect(audioContext.destination);
+            }
+
+            if (audioContext.state === 'suspended') {
+                try {
+                    await audioContext.resume();
+                } catch (e) {
+                    const error = new Error(`AudioContext resume failed: ${e.message}`);
+                    error.name = 'AudioContextError';
+                    throw error;
+                }
+            }
+
+            await audioElement.play();
+        },
+
+        pause() {
+            audioElement.pause();
+        },
+
+        stop() {
+            audioElement.pause();
+            destroyHlsPlayer();
+        },
+
+        getPosition() {
+            return audioElement.currentTime;
+        },
+
+        getBufferedAhead() {
+            if (audioElement.buffered.length === 0) return null;
+            return audioElement.buffered.end(audioElement.buffered.length - 1) - audioElement.currentTime;
+        },
+
+        getAnalyser() {
+            return analyser;
+        },
+
+        setVolume(value) {
+            volume = value;
+            if (gainNode) {
+                gainNode.gain.setTargetAtTime(value, gainNode.context.currentTime, 0.05);
+            }
+        },
+
+        /**
+         * Stops, drops the stream and disconnects the nodes from the shared AudioContext.
+         */
+        destroy() {
+            audioElement.pause();
+            destroyHlsPlayer();
+            audioElement.removeAttribute('src');
+            audioElement.load();
+            [sourceNode, analyser, gainNode].forEach(node => node?.disconnect());
+            sourceNode = null;
+            analyser = null;
+            gainNode = null;
+        }
+    };
+}
+
+// --- Custom Element ---
+
+class BeepRadioElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['station', 'lang'];
+    }
+
+    #core = null;
+    #audio = null;
+    #unsubscribers = [];
+    #animationFrameId = null;
+    #elements = {};
+    #lastNowPlaying = null;
+
+    constructor() {
+        super();
+        const root = this.attachShadow({ mode: 'open' });
+        root.appendChild(EMBED_TEMPLATE.content.cloneNode(true));
+
+        this.#elements = {
+            art: root.querySelector('.art'),
+            stationName: root.querySelector('.station-name'),
+            title: root.querySelector('.title'),
+            artist: root.querySelector('.artist'),
+            canvas: root.querySelector('.visualizer'),
+            progressBar: root.querySelector('.progress-bar'),
+            playBtn: root.querySelector('.play-btn'),
+            volume: root.querySelector('.volume'),
+            stations: root.querySelector('.stations')
+        };
+        this.#elements.player = root.querySelector('.player');
+        this.#applyLocale();
+        this.#elements.title.textContent = t('stations.loading', {}, this.#locale);
+
+        this.#elements.volume.value = EMBED_DEFAULT_VOLUME;
+        this.#elements.playBtn.addEventListener('click', () => this.#core?.toggle());
+        this.#elements.volume.addEventListener('input', () => this.#audio?.setVolume(Number(this.#elements.volume.value)));
+    }
+
+    connectedCallback() {
+        if (this.#core) return;
+        beepRadioInstances.add(this);
+
+        this.#audio = createEmbedAudioOutput(Number(this.#elements.volume.value), () => claimSharedAudio(this));
+        this.#core = createPlayerCore({
+            apiServer: this.getAttribute('server') ?? window.BEEP_API_SERVER,
+            audio: this.#audio,
+            hlsSupported: canPlayEmbedHls()
+        });
+
+        this.#unsubscribers = [
+            this.#core.on('stationschange', ({ stations }) => this.#renderStations(stations)),
+            this.#core.on('stationchange', ({ station }) => this.#handleStationChange(station)),
+            this.#core.on('stationupdate', ({ station }) => {
+                const button = this.#elements.stations.querySelector(`[data-shortcode="${station.shortcode}"]`);
+                if (button) button.disabled = !station.isOnline;
+            }),
+            this.#core.on('nowplaying', (detail) => this.#renderNowPlaying(detail)),
+            this.#core.on('progress', ({ elapsed, duration }) => this.#renderProgress(elapsed, duration)),
+            this.#core.on('statechange', (detail) => this.#handleStateChange(detail)),
+            this.#core.on('error', ({ code }) => {
+                this.#elements.title.textContent = t(`errors.${code}`, {}, this.#locale);
+            }),
+            ...EMBED_FORWARDED_EVENTS.map(type => this.#core.on(type, (detail) => {
+                this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+            }))
+        ];
+
+        this.#start();
+    }
+
+    disconnectedCallback() {
+        beepRadioInstances.delete(this);
+        this.#stopVisualizer();
+        this.#unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.#unsubscribers = [];
+        if (this.#core) {
+            this.#core.destroy();
+            this.#core = null;
+        }
+        this.#audio?.destroy();
+        this.#audio = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'lang' && oldValue !== newValue) {
+            this.#applyLocale();
+            return;
+        }
+        if (name === 'station' && newValue && this.#core && this.#core.getCurrentStation()?.shortcode !== newValue) {
+            this.#core.selectStation(newValue);
+        }
+    }
+
+    /**
+     * Starts playback (call from a user gesture, browsers block autoplay).
+     */
+    play() {
+        return this.#core ? this.#core.play() : Promise.resolve();
+    }
+
+    /**
+     * Stops playback (a live stream cannot be paused and resumed).
+     */
+    pause() {
+        this.#core?.stop();
+    }
+
+    /**
+     * Switches to a station by shortcode (keeps playing if it was playing).
+     */
+    setStation(shortcode) {
+        this.setAttribute('station', shortcode);
+    }
+
+    get station() {
+        return this.#core?.getCurrentStation()?.shortcode || this.getAttribute('station');
+    }
+
+    set station(shortcode) {
+        this.setStation(shortcode);
+    }
+
+    get playing() {
+        return Boolean(this.#core?.isPlaying());
+    }
+
+    get stations() {
+        return this.#core ? this.#core.getStations() : [];
+    }
+
+    /**
+     * The lang attribute if supported, else the page's active locale.
+     */
+    get #locale() {
+        return resolveLocale(this.getAttribute('lang')) || getLocale();
+    }
+
+    /**
+     * Applies the locale to the shadow DOM (direction, labels and rendered texts).
+     */
+    #applyLocale() {
+        const locale = this.#locale;
+        this.#elements.player.dir = LOCALES[locale].dir;
+        translatePage(this.shadowRoot, locale);
+
+        if (!this.#core) return;
+        this.#core.getStations().forEach(station => {
+            const button = this.#elements.stations.querySelector(`[data-shortcode="${station.shortcode}"]`);
+            if (button) button.textContent = getStationDisplayName(station.originalName, locale);
+        });
+        const current = this.#core.getCurrentStation();
+        if (current) this.#elements.stationName.textContent = getStationDisplayName(current.originalName, locale);
+        if (this.#lastNowPlaying) this.#renderNowPlaying(this.#lastNowPlaying);
+    }
+
+    /**
+     * Loads the stations, selects the requested one and subscribes to track changes.
+     */
+    async #start() {
+        const core = this.#core;
+        if (!(await core.loadStations()) || core !== this.#core) {
+            if (core === this.#core) {
+                this.#elements.title.textContent = t('errors.api', {}, this.#locale);
+            }
+            return;
+        }
+
+        const stations = core.getStations();
+        const requested = this.getAttribute('station');
+        const match = stations.find(s => s.shortcode === requested || s.originalName === requested);
+        const station = (match?.isOnline ? match : stations.find(s => s.isOnline)) || stations[0];
+        if (station) {
+            core.selectStation(station.shortcode);
+        } else {
+            this.#elements.title.textContent = t('stations.none', {}, this.#locale);
+        }
+        core.startNowPlayingUpdates();
+    }
+
+    #renderStations(stations) {
+        this.#elements.stations.innerHTML = '';
+        stations.forEach(station => {
+            const button = document.createElement('button');
+            button.className = 'station-btn';
+            button.setAttribute('part', 'station-button');
+            button.dataset.shortcode = station.shortcode;
+            button.textContent = getStationDisplayName(station.originalName, this.#locale);
+            button.setAttribute('aria-pressed', 'false');
+            button.disabled = !station.isOnline;
+            button.addEventListener('click', () => this.setStation(station.shortcode));
+            this.#elements.stations.appendChild(button);
+        });
+    }
+
+    #handleStationChange(station) {
+        // Reflect the selection without re-triggering attributeChangedCallback's switch
+        if (this.getAttribute('station') !== station.shortcode) {
+            this.setAttribute('station', station.shortcode);
+        }
+        this.#elements.stations.querySelectorAll('.station-btn').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.shortcode === station.shortcode));
+        });
+        this.#elements.stationName.textContent = getStationDisplayName(station.originalName, this.#locale);
+    }
+
+    #renderNowPlaying(detail) {
+        const { station, song } = detail;
+        const locale = this.#locale;
+        const stationName = station ? getStationDisplayName(station.name, locale) : '';
+        this.#lastNowPlaying = detail;
+        if (!song) {
+            this.#elements.title.textContent = t('nowPlaying.unavailable', {}, locale);
+            this.#elements.artist.textContent = '';
+            this.#elements.art.src = `https://placehold.co/192/EEE/31343C?font=Vazirmatn&text=${(stationName || t('common.radio', {}, locale)).replace(/\s/g, '+')}`;
+            this.#renderProgress(0, 0);
+            return;
+        }
+
+        this.#elements.stationName.textContent = stationName;
+        this.#elements.title.textContent = song.title || t('track.untitled', {}, locale);
+        this.#elements.artist.textContent = song.artist || t('track.unknownArtist', {}, locale);
+        this.#elements.art.src = song.art || `https://placehold.co/192/EEE/31343C?font=Vazirmatn&text=${stationName.replace(/\s/g, '+')}`;
+    }
+
+    #renderProgress(elapsed, duration) {
+        const percentage = duration > 0 ? (Math.min(elapsed, duration) / duration) * 100 : 0;
+        this.#elements.progressBar.style.width = `${percentage}%`;
+    }
+
+    #handleStateChange({ state }) {
+        const isActive = state !== 'stopped';
+        this.#elements.playBtn.textContent = isActive ? '❚❚' : '▶';
+        this.#elements.playBtn.setAttribute('aria-busy', String(state === 'loading' || state === 'buffering' || state === 'reconnecting'));
+        this.toggleAttribute('playing', isActive);
+
+        if (state === 'playing') {
+            if (!this.#animationFrameId) this.#drawVisualizer();
+        } else if (state === 'stopped' || state === 'reconnecting') {
+            this.#stopVisualizer();
+        }
+    }
+
+    /**
+     * Draws a frequency spectrum of this instance's analyser (scaled for high-DPI screens).
+     */
+    #drawVisualizer() {
+        const analyser = this.#audio?.getAnalyser();
+        const canvas = this.#elements.canvas;
+        if (!analyser || !this.playing) {
+            this.#stopVisualizer();
+            return;
+        }
+        this.#animationFrameId = requestAnimationFrame(() => this.#drawVisualizer());
+
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (width === 0 || height === 0) return; // Hidden (compact)
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+        }
+
+        const ctx = canvas.getContext('2d');
+        const data = new Uint8Array(analyser.frequencyBinCount);
+        analyser.getByteFrequencyData(data);
+
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = EMBED_BAR_COLOR;
+        const barSlot = width / data.length;
+        data.forEach((value, i) => {
+            const barHeight = (value / 255) * height;
+            ctx.fillRect(i * barSlot, height - barHeight, Math.max(1, barSlot - EMBED_BAR_SPACING), barHeight);
+        });
+    }
+
+    #stopVisualizer() {
+        if (this.#animationFrameId) {
+            cancelAnimationFrame(this.#animationFrameId);
+            this.#animationFrameId = null;
+        }
+        const canvas = this.#elements.canvas;
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    }
+}
+
+if (!customElements.get('beep-radio')) {
+    customElements.define('beep-radio', BeepRadioElement);
+}
@@ -0,0 +1,414 @@
+/**
+ * Local mock of the AzuraCast endpoints used by the player, for offline testing.
+ *
+ * Usage: node dev/mock-server.js [port]
+ * Then open http://localhost:8080/ (the app is served from the repo root and
+ * pointed at this server instead of radio.beeptunes.com).
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 8080;
+const ROOT_DIR = path.join(__dirname, '..');
+const TRACK_DURATION = 60; // Short tracks so changes are easy to observe
+const HISTORY_LENGTH = 5;
+const SSE_PING_INTERVAL = 25000;
+const SAMPLE_RATE = 22050;
+const REQUEST_COOLDOWN = 30000; // One request per listener every 30 seconds (ms)
+const REQUESTABLE_SONG_COUNT = 45; // Enough songs for a few pages
+const MOUNT_TITLE_DELAY = 8; // The mounts switch to a new title this long after its played_at, like a real server (s)
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// --- Fixture Stations ---
+const STATIONS = [
+    { name: 'Radio Beeptunes', shortcode: 'radio_beeptunes', tone: 440, description: 'Mock station with the default tone.', requests: true },
+    { name: 'Aramesh', shortcode: 'aramesh', tone: 330, description: 'Mock station with a live DJ and requests.', streamer: 'DJ Mock', requests: true },
+    { name: 'Owj', shortcode: 'owj', tone: 550, description: 'Mock station.' },
+    { name: 'Harmony', shortcode: 'harmony', tone: 660, description: 'Mock offline station.', offline: true }
+];
+
+const SONGS = [
+    { title: 'Mock Song One', artist: 'Test Artist A' },
+    { title: 'Mock Song Two', artist: 'Test Artist B' },
+    { title: 'Mock Song Three', artist: 'Test Artist C' },
+    { title: 'Mock Song Four', artist: 'Test Artist A' },
+    { title: 'Mock Song Five', artist: 'Test Artist D' }
+];
+
+const SERVER_START = Math.floor(Date.now() / 1000);
+
+// --- Now Playing Payloads ---
+
+/**
+ * Builds a queue/history item for the given track slot of a station.
+ */
+function buildTrackItem(stationIndex, slot) {
+    const songIndex = (slot + stationIndex) % SONGS.length;
+    const song = SONGS[(songIndex + SONGS.length) % SONGS.length]; // History slots can be negative
+    return {
+        sh_id: slot,
+        played_at: SERVER_START + slot * TRACK_DURATION,
+        duration: TRACK_DURATION,
+        song: {
+            id: `${stationIndex}-${slot}`,
+            title: song.title,
+            artist: song.artist,
+            art: ''
+        }
+    };
+}
+
+/**
+ * Returns the index of the track slot currently playing on the server.
+ */
+function currentSlot() {
+    return Math.floor((Date.now() / 1000 - SERVER_START) / TRACK_DURATION);
+}
+
+/**
+ * Builds the AzuraCast-like now playing payload for one station.
+ */
+function buildNowPlaying(stationIndex, origin) {
+    const station = STATIONS[stationIndex];
+    const slot = currentSlot();
+    const nowPlaying = buildTrackItem(stationIndex, slot);
+    nowPlaying.elapsed = Math.floor(Date.now() / 1000) - nowPlaying.played_at;
+
+    const songHistory = [];
+    for (let i = 1; i <= HISTORY_LENGTH; i++) {
+        songHistory.push(buildTrackItem(stationIndex, slot - i));
+    }
+
+    return {
+        is_online: !station.offline,
+        listeners: { current: station.offline ? 0 : 10 + ((slot + stationIndex * 7) % 5) * 3 },
+        live: { is_live: Boolean(station.streamer), streamer_name: station.streamer || '' },
+        station: {
+            name: station.name,
+            shortcode: station.shortcode,
+            description: station.description,
+            requests_enabled: Boolean(station.requests),
+            listen_url: `${origin}/listen/${station.shortcode}/radio.wav`,
+            mounts: [
+                { id: 1, name: 'Default', url: `${origin}/listen/${station.shortcode}/radio.wav`, bitrate: 352, format: 'wav', is_default: true },
+                { id: 2, name: 'Low', url: `${origin}/listen/${station.shortcode}/low.wav`, bitrate: 176, format: 'wav', is_default: false }
+            ]
+        },
+        now_playing: nowPlaying,
+        playing_next: buildTrackItem(stationIndex, slot + 1),
+        song_history: songHistory
+    };
+}
+
+// --- Server-Sent Events (Centrifugo format used by AzuraCast) ---
+const sseClients = new Set();
+let lastPublishedSlot = currentSlot();
+
+/**
+ * Writes one SSE message to a client.
+ */
+function sendSse(res, payload) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Handles a subscription request: /api/live/nowplaying/sse?cq={"subs":{"station:x":{}}}
+ */
+function handleSse(req, res, url, origin) {
+    let channels = [];
+    try {
+        channels = Object.keys(JSON.parse(url.searchParams.get('cq') || '{}').subs || {});
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Invalid cq parameter');
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+
+    const client = { res, channels, origin };
+    sseClients.add(client);
+
+    // Initial state for each subscribed channel
+    const subs = {};
+    channels.forEach(channel => {
+        const stationIndex = STATIONS.findIndex(s => `station:${s.shortcode}` === channel);
+        subs[channel] = {
+            publications: stationIndex === -1 ? [] : [{ data: { np: buildNowPlaying(stationIndex, origin) } }]
+        };
+    });
+    sendSse(res, { connect: { client: String(Date.now()), subs } });
+
+    req.on('close', () => sseClients.delete(client));
+}
+
+// Publish to subscribers whenever the track slot changes
+setInterval(() => {
+    const slot = currentSlot();
+    if (slot === lastPublishedSlot) return;
+    lastPublishedSlot = slot;
+
+    sseClients.forEach(client => {
+        STATIONS.forEach((station, stationIndex) => {
+            const channel = `station:${station.shortcode}`;
+            if (client.channels.includes(channel)) {
+                sendSse(client.res, { channel, pub: { data: { np: buildNowPlaying(stationIndex, client.origin) } } });
+            }
+        });
+    });
+}, 1000);
+
+// Keep idle connections open (Centrifugo sends empty pings)
+setInterval(() => sseClients.forEach(client => sendSse(client.res, {})), SSE_PING_INTERVAL);
+
+// --- Song Requests ---
+const lastRequestAt = new Map(); // Listener address -> time of the last accepted request
+
+/**
+ * Builds the requestable song list of a station.
+ */
+function buildRequestableSongs(station) {
+    const songs = [];
+    for (let i = 0; i < REQUESTABLE_SONG_COUNT; i++) {
+        const base = SONGS[i % SONGS.length];
+        songs.push({
+            request_id: `${station.shortcode}-${i + 1}`,
+            request_url: `/api/station/${station.shortcode}/request/${station.shortcode}-${i + 1}`,
+            song: {
+                id: `req-${i + 1}`,
+                title: `${base.title} (Take ${Math.floor(i / SONGS.length) + 1})`,
+                artist: base.artist,
+                album: 'Mock Album',
+                art: ''
+            }
+        });
+    }
+    return songs;
+}
+
+/**
+ * Writes a JSON response (with CORS, like AzuraCast).
+ */
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Lists requestable songs: /api/station/{shortcode}/requests?page=&per_page=&searchPhrase=
+ */
+function handleRequestList(res, url, shortcode) {
+    const station = STATIONS.find(s => s.shortcode === shortcode);
+    if (!station) {
+        sendJson(res, 404, { success: false, message: 'Station not found.' });
+        return;
+    }
+    if (!station.requests) {
+        sendJson(res, 403, { success: false, message: 'This station does not accept requests.' });
+        return;
+    }
+
+    const search = (url.searchParams.get('searchPhrase') || '').toLowerCase();
+    const perPage = Math.max(1, Number(url.searchParams.get('per_page')) || 25);
+    const page = Math.max(1, Number(url.searchParams.get('page')) || 1);
+    const rows = buildRequestableSongs(station)
+        .filter(item => !search || `${item.song.title} ${item.song.artist}`.toLowerCase().includes(search));
+
+    sendJson(res, 200, {
+        page,
+        per_page: perPage,
+        total: rows.length,
+        total_pages: Math.max(1, Math.ceil(rows.length / perPage)),
+        rows: rows.slice((page - 1) * perPage, page * perPage)
+    });
+}
+
+/**
+ * Accepts a request: POST /api/station/{shortcode}/request/{request_id}
+ * Repeat requests within REQUEST_COOLDOWN are rejected like AzuraCast does.
+ */
+function handleSongRequest(req, res, shortcode, requestId) {
+    const station = STATIONS.find(s => s.shortcode === shortcode);
+    if (!station || !station.requests || !buildRequestableSongs(station).some(item => item.request_id === requestId)) {
+        sendJson(res, 404, { success: false, message: 'Song not found.' });
+        return;
+    }
+
+    const listener = req.socket.remoteAddress;
+    const elapsed = Date.now() - (lastRequestAt.get(listener) || 0);
+    if (elapsed < REQUEST_COOLDOWN) {
+        sendJson(res, 429, { success: false, message: 'You have submitted a request too recently! Please wait before submitting another one.' });
+        return;
+    }
+
+    lastRequestAt.set(listener, Date.now());
+    sendJson(res, 200, { success: true, message: 'Your request has been submitted and will be played soon.' });
+}
+
+// --- Icecast Status ---
+
+/**
+ * Serves the Icecast status page of a station's mounts: /listen/{shortcode}/status-json.xsl
+ */
+function handleMountStatus(res, shortcode, origin) {
+    const stationIndex = STATIONS.findIndex(station => station.shortcode === shortcode);
+    if (stationIndex === -1 || STATIONS[stationIndex].offline) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const slot = Math.floor((Date.now() / 1000 - MOUNT_TITLE_DELAY - SERVER_START) / TRACK_DURATION);
+    const { song } = buildTrackItem(stationIndex, slot);
+    const source = ['radio.wav', 'low.wav'].map(mount => ({
+        listenurl: `${origin}/listen/${shortcode}/${mount}`,
+        artist: song.artist,
+        title: song.title
+    }));
+    sendJson(res, 200, { icestats: { source } });
+}
+
+// --- Audio Stream (endless WAV sine tone) ---
+
+/**
+ * Streams an endless 16-bit mono WAV tone for a station (the low mount uses half the sample rate).
+ */
+function handleListen(req, res, shortcode, sampleRate) {
+    const station = STATIONS.find(s => s.shortcode === shortcode);
+    if (!station || station.offline) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'audio/wav',
+        'Cache-Control': 'no-cache',
+        'Access-Control-Allow-Origin': '*'
+    });
+
+    // Header with maximum sizes, since the stream never ends
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(0xFFFFFFFF, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // Mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(0xFFFFFFFF, 40);
+    res.write(header);
+
+    let sampleIndex = 0;
+    const chunkSamples = Math.floor(sampleRate / 10);
+    const timer = setInterval(() => {
+        const chunk = Buffer.alloc(chunkSamples * 2);
+        for (let i = 0; i < chunkSamples; i++, sampleIndex++) {
+            // Slow amplitude wobble so the visualizer has something to show
+            const envelope = 0.3 + 0.2 * Math.sin(2 * Math.PI * 0.5 * sampleIndex / sampleRate);
+            const value = Math.sin(2 * Math.PI * station.tone * sampleIndex / sampleRate) * envelope;
+            chunk.writeInt16LE(Math.round(value * 32767), i * 2);
+        }
+        res.write(chunk);
+    }, 100);
+
+    req.on('close', () => clearInterval(timer));
+}
+
+// --- Static Files ---
+
+/**
+ * Serves files from the repo root. index.html gets the API server override injected.
+ */
+function handleStatic(req, res, url) {
+    const relativePath = url.pathname === '/' ? 'index.html' : decodeURIComponent(url.pathname).replace(/^\/+/, '');
+    const filePath = path.normalize(path.join(ROOT_DIR, relativePath));
+
+    if (!filePath.startsWith(ROOT_DIR)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        if (path.extname(filePath) === '.html') {
+            // Point the player (and embeds) at this server (same origin)
+            content = content.toString().replace('<head>', '<head>\n        <script>window.BEEP_API_SERVER = \'\';</script>');
+        }
+
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+// --- Router ---
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const origin = `http://${req.headers.host}`;
+
+    if (url.pathname === '/api/nowplaying') {
+        const payload = STATIONS.map((station, stationIndex) => buildNowPlaying(stationIndex, origin));
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+        res.end(JSON.stringify(payload));
+        return;
+    }
+
+    if (url.pathname === '/api/live/nowplaying/sse') {
+        handleSse(req, res, url, origin);
+        return;
+    }
+
+    const requestListMatch = url.pathname.match(/^\/api\/station\/([^/]+)\/requests$/);
+    if (requestListMatch && req.method === 'GET') {
+        handleRequestList(res, url, requestListMatch[1]);
+        return;
+    }
+
+    const requestMatch = url.pathname.match(/^\/api\/station\/([^/]+)\/request\/([^/]+)$/);
+    if (requestMatch && req.method === 'POST') {
+        handleSongRequest(req, res, requestMatch[1], decodeURIComponent(requestMatch[2]));
+        return;
+    }
+
+    const statusMatch = url.pathname.match(/^\/listen\/([^/]+)\/status-json\.xsl$/);
+    if (statusMatch) {
+        handleMountStatus(res, statusMatch[1], origin);
+        return;
+    }
+
+    const listenMatch = url.pathname.match(/^\/listen\/([^/]+)\/(radio|low)\.wav$/);
+    if (listenMatch) {
+        handleListen(req, res, listenMatch[1], listenMatch[2] === 'low' ? SAMPLE_RATE / 2 : SAMPLE_RATE);
+        return;
+    }
+
+    handleStatic(req, res, url);
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock AzuraCast server running at http://localhost:${PORT}/`);
+});
@@ -0,0 +1,506 @@
+/**
+ * Message catalog (Persian and English) and locale-aware formatting.
+ *
+ * Static markup is translated through attributes:
+ *   data-i18n="key"                             -> textContent
+ *   data-i18n-attr="aria-label:key,placeholder:key" -> attributes
+ * Messages may contain {name} placeholders, filled from t()'s params.
+ */
+
+const DEFAULT_LOCALE = 'fa';
+
+const LOCALES = {
+    fa: { label: 'فارسی', dir: 'rtl', intl: 'fa-IR' },
+    en: { label: 'English', dir: 'ltr', intl: 'en-US' }
+};
+
+const MESSAGES = {
+    fa: {
+        'app.name': 'رادیو بیپ تونز',
+        'common.radio': 'رادیو',
+        'common.delete': 'حذف',
+        'common.download': 'دانلود',
+        'common.close': 'بستن',
+        'common.unknown': 'نامشخص',
+        'common.default': 'پیش‌فرض',
+        'common.auto': 'خودکار',
+        'language.label': 'زبان',
+
+        'player.playPause': 'پخش یا مکث',
+        'player.mute': 'بی‌صدا',
+        'player.volume': 'بلندی صدا',
+        'player.record': 'ضبط',
+        'player.like': 'پسندیدن آهنگ',
+        'player.visualizerMode': 'تغییر نمایش صدا',
+        'player.songTitle': 'عنوان آهنگ',
+        'player.artistName': 'نام هنرمند',
+        'player.reconnecting': 'در حال اتصال مجدد…',
+        'player.reconnectingAttempt': 'در حال اتصال مجدد… ({attempt}/{max})',
+
+        'track.untitled': 'بدون عنوان',
+        'track.unknownTitle': 'عنوان نامشخص',
+        'track.unknownArtist': 'هنرمند ناشناس',
+
+        'nowPlaying.unavailable': 'اطلاعات در دسترس نیست',
+        'nowPlaying.selectStation': 'لطفا ایستگاه را انتخاب کنید',
+        'nowPlaying.upNext': 'پخش بعدی:',
+        'nowPlaying.recent': 'پخش‌های اخیر:',
+        'nowPlaying.noHistory': 'سابقه‌ای موجود نیست',
+
+        'stations.title': 'انتخاب موج:',
+        'stations.group': 'ایستگاه‌ها',
+        'stations.loading': 'در حال بارگذاری ایستگاه‌ها...',
+        'stations.none': 'هیچ ایستگاهی پیدا نشد.',
+        'stations.loadError': 'خطا در بارگذاری اطلاعات ایستگاه‌ها.',
+        'stations.search': 'جستجوی ایستگاه، دی‌جی یا آهنگ...',
+        'stations.sort': 'مرتب‌سازی ایستگاه‌ها',
+        'stations.sortDefault': 'پیش‌فرض',
+        'stations.sortName': 'نام',
+        'stations.sortListeners': 'شنوندگان',
+        'stations.noMatch': 'ایستگاهی با این جستجو پیدا نشد.',
+        'stations.listeners': '{count} شنونده',
+        'stations.live': 'زنده',
+        'stations.dj': 'با {name}',
+        'stations.offline': 'آفلاین',
+
+        'errors.api': 'اتصال به API برقرار نشد.',
+        'errors.stream': 'خطا در پخش استریم',
+        'errors.autoplay': 'خطا در پخش (نیاز به تعامل کاربر)',
+        'errors.audiocontext': 'خطا در راه‌اندازی صدا',
+        'errors.offline': 'هیچ ایستگاهی در حال پخش نیست',
+
+        'remote.playing': 'در حال پخش «{station}» در برگه‌ای دیگر؛ انتخاب ایستگاه در این برگه آن را عوض می‌کند.',
+        'remote.stop': 'توقف در آن برگه',
+
+        'offline.title': 'اتصال برقرار نیست',
+        'offline.description': 'سرور رادیو یا اینترنت در دسترس نیست. به محض برقراری اتصال، پخش ادامه پیدا می‌کند.',
+        'offline.retrying': 'تلاش خودکار برای اتصال…',
+        'offline.checking': 'در حال بررسی اتصال…',
+        'offline.retry': 'تلاش دوباره',
+        'update.available': 'نسخه جدید برنامه آماده است.',
+        'update.reload': 'بارگذاری دوباره',
+
+        'stats.open': '📊 آمار شنیدن',
+        'stats.title': 'آمار شنیدن',
+        'stats.from': 'از',
+        'stats.to': 'تا',
+        'stats.total': 'مجموع زمان شنیدن: {time}',
+        'stats.stations': 'زمان شنیدن هر ایستگاه',
+        'stats.hours': 'شنیدن در ساعت‌های روز',
+        'stats.peakHour': 'بیشترین شنیدن در ساعت {hour}',
+        'stats.artists': 'هنرمندان پرشنونده',
+        'stats.tracks': 'آهنگ‌های پرشنونده',
+        'stats.plays': '{count} بار',
+        'stats.hoursMinutes': '{hours} ساعت و {minutes} دقیقه',
+        'stats.minutes': '{minutes} دقیقه',
+        'stats.empty': 'در این بازه چیزی شنیده نشده است.',
+        'stats.clear': 'پاک کردن آمار',
+        'stats.clearConfirm': 'همه آمار شنیدن پاک شود؟',
+
+        'requests.open': '🎵 درخواست آهنگ',
+        'requests.title': 'درخواست آهنگ',
+        'requests.search': 'جستجوی آهنگ یا هنرمند...',
+        'requests.loading': 'در حال بارگذاری فهرست آهنگ‌ها...',
+        'requests.empty': 'آهنگی برای درخواست وجود ندارد.',
+        'requests.noResults': 'آهنگی با این جستجو پیدا نشد.',
+        'requests.loadError': 'خطا در دریافت فهرست آهنگ‌ها.',
+        'requests.submit': 'درخواست',
+        'requests.submitted': 'ثبت شد',
+        'requests.success': 'درخواست شما ثبت شد و به‌زودی پخش می‌شود.',
+        'requests.cooldown': 'به‌تازگی درخواست داده‌اید؛ کمی صبر کنید و دوباره تلاش کنید.',
+        'requests.error': 'ثبت درخواست ممکن نشد.',
+        'requests.previous': 'قبلی',
+        'requests.next': 'بعدی',
+        'requests.page': 'صفحه {page} از {total}',
+
+        'shortcuts.title': 'میانبرهای صفحه‌کلید',
+        'shortcuts.space': 'فاصله',
+        'shortcuts.playPause': 'پخش / توقف',
+        'shortcuts.stations': 'ایستگاه قبلی / بعدی',
+        'shortcuts.stationNumber': 'انتخاب ایستگاه با شماره',
+        'shortcuts.mute': 'بی‌صدا / با صدا',
+        'shortcuts.help': 'نمایش این راهنما',
+        'shortcuts.close': 'بستن پنجره',
+        'a11y.nowPlaying': 'در حال پخش: {title} از {artist}، {station}',
+
+        'quality.label': 'کیفیت پخش:',
+        'quality.hls': 'HLS (تطبیقی)',
+        'quality.autoWith': 'خودکار ({stream})',
+        'quality.downgraded': 'به دلیل وقفه‌های مکرر، کیفیت به {stream} کاهش یافت.',
+
+        'sleep.label': 'تایمر خواب:',
+        'sleep.off': 'خاموش',
+        'sleep.15': '۱۵ دقیقه',
+        'sleep.30': '۳۰ دقیقه',
+        'sleep.60': '۶۰ دقیقه',
+        'sleep.track': 'پایان آهنگ فعلی',
+        'sleep.custom': 'دلخواه...',
+        'sleep.minutes': 'دقیقه',
+        'sleep.customLabel': 'مدت تایمر خواب (دقیقه)',
+
+        'library.open': '❤ آهنگ‌های پسندیده',
+        'library.title': 'آهنگ‌های پسندیده',
+        'library.search': 'جستجو...',
+        'library.exportCsv': 'خروجی CSV',
+        'library.exportJson': 'خروجی JSON',
+        'library.import': 'ورود از فایل',
+        'library.noResults': 'نتیجه‌ای پیدا نشد',
+        'library.empty': 'هنوز آهنگی پسندیده نشده است',
+        'library.importError': 'خطا در وارد کردن فایل.',
+
+        'eq.title': 'اکولایزر (برای این ایستگاه)',
+        'eq.preset': 'پیش‌تنظیم:',
+        'eq.normalize': 'یکسان‌سازی بلندی صدا بین ایستگاه‌ها',
+        'eq.flat': 'صاف',
+        'eq.bassBoost': 'تقویت بم',
+        'eq.vocal': 'آواز',
+        'eq.night': 'شب',
+        'eq.custom': 'دلخواه',
+
+        'recording.title': 'ضبط‌ها',
+        'recording.unsupported': 'ضبط در این مرورگر پشتیبانی نمی‌شود.',
+        'recording.startFirst': 'برای ضبط ابتدا پخش را شروع کنید.',
+        'recording.maxSize': 'حجم ضبط به حداکثر رسید.',
+        'recording.maxDuration': 'مدت ضبط به حداکثر رسید.',
+        'recording.active': 'در حال ضبط: {time} · {size} MB',
+        'recording.none': 'ضبطی وجود ندارد',
+
+        'settings.title': 'تنظیمات',
+        'settings.latency': 'تاخیر استریم این ایستگاه (ثانیه):',
+        'settings.sleepFade': 'مدت محو شدن تایمر خواب (ثانیه):',
+        'settings.crossfade': 'محو تدریجی هنگام تعویض ایستگاه (ثانیه):',
+        'servers.title': 'سرورهای AzuraCast',
+        'servers.description': 'ایستگاه‌های سرورهای AzuraCast دیگر را به فهرست اضافه کنید.',
+        'servers.url': 'آدرس سرور AzuraCast',
+        'servers.add': 'افزودن',
+        'servers.remove': 'حذف {server}',
+        'servers.default': 'پیش‌فرض',
+        'servers.checking': 'در حال بررسی سرور...',
+        'servers.added': 'سرور اضافه شد ({count} ایستگاه).',
+        'servers.invalidUrl': 'آدرس معتبر نیست.',
+        'servers.duplicate': 'این سرور قبلاً اضافه شده است.',
+        'servers.unreachable': 'اتصال به سرور ممکن نشد.',
+        'servers.invalid': 'این آدرس یک سرور AzuraCast نیست.',
+        'servers.export': 'خروجی JSON',
+        'servers.import': 'ورود از فایل',
+        'servers.imported': '{added} سرور اضافه شد، {skipped} مورد نادیده گرفته شد.',
+        'servers.importError': 'خطا در خواندن فایل تنظیمات سرورها.',
+        'notifications.enable': 'اعلان هنگام تغییر آهنگ',
+        'notifications.stations': 'ایستگاه‌هایی که اعلان می‌دهند:',
+        'notifications.unsupported': 'این مرورگر از اعلان پشتیبانی نمی‌کند.',
+        'notifications.denied': 'اجازه نمایش اعلان داده نشده است (از تنظیمات مرورگر فعال کنید).',
+        'notifications.like': 'پسندیدن',
+        'notifications.nextStation': 'ایستگاه بعدی',
+        'notifications.body': '{artist} · {station}',
+        'latency.estimate': 'تاخیر فعلی: {seconds} ثانیه ({source})',
+        'latency.override': 'دستی',
+        'latency.measured': 'اندازه‌گیری شده',
+        'latency.default': 'پیش‌فرض',
+        'latency.unmeasurable': 'پیش‌فرض، سرور تاخیرش را اعلام نمی‌کند',
+
+        'visualizer.history': 'موج',
+        'visualizer.spectrum': 'طیف',
+        'visualizer.oscilloscope': 'اسیلوسکوپ',
+        'visualizer.radial': 'دایره‌ای',
+
+        // Display names per AzuraCast station name
+        stations: {
+            'Radio Beeptunes': 'رادیو بیپ تونز',
+            'Rangarang': 'رنگارنگ',
+            'Aramesh': 'آرامش',
+            'Sarkhoshan-e mast': 'سرخوشان مست',
+            'Owj': 'اوج',
+            'Sarzamin': 'سرزمین',
+            'Avang': 'آونگ',
+            'Harmony': 'هارمونی'
+        }
+    },
+
+    en: {
+        'app.name': 'Beeptunes Radio',
+        'common.radio': 'Radio',
+        'common.delete': 'Delete',
+        'common.download': 'Download',
+        'common.close': 'Close',
+        'common.unknown': 'Unknown',
+        'common.default': 'Default',
+        'common.auto': 'Auto',
+        'language.label': 'Language',
+
+        'player.playPause': 'Play or stop',
+        'player.mute': 'Mute',
+        'player.volume': 'Volume',
+        'player.record': 'Record',
+        'player.like': 'Like song',
+        'player.visualizerMode': 'Change visualizer',
+        'player.songTitle': 'Song title',
+        'player.artistName': 'Artist name',
+        'player.reconnecting': 'Reconnecting…',
+        'player.reconnectingAttempt': 'Reconnecting… ({attempt}/{max})',
+
+        'track.untitled': 'Untitled',
+        'track.unknownTitle': 'Unknown title',
+        'track.unknownArtist': 'Unknown artist',
+
+        'nowPlaying.unavailable': 'No information available',
+        'nowPlaying.selectStation': 'Please select a station',
+        'nowPlaying.upNext': 'Up next:',
+        'nowPlaying.recent': 'Recently played:',
+        'nowPlaying.noHistory': 'No history yet',
+
+        'stations.title': 'Stations:',
+        'stations.group': 'Stations',
+        'stations.loading': 'Loading stations...',
+        'stations.none': 'No stations found.',
+        'stations.loadError': 'Could not load station information.',
+        'stations.search': 'Search stations, DJs or tracks...',
+        'stations.sort': 'Sort stations',
+        'stations.sortDefault': 'Default',
+        'stations.sortName': 'Name',
+        'stations.sortListeners': 'Listeners',
+        'stations.noMatch': 'No station matches this search.',
+        'stations.listeners': '{count} listening',
+        'stations.live': 'LIVE',
+        'stations.dj': 'with {name}',
+        'stations.offline': 'Offline',
+
+        'errors.api': 'Could not connect to the API.',
+        'errors.stream': 'Stream playback failed',
+        'errors.autoplay': 'Playback blocked (press play to start)',
+        'errors.audiocontext': 'Could not start audio',
+        'errors.offline': 'No station is on air',
+
+        'remote.playing': 'Playing "{station}" in another tab; choosing a station here switches it.',
+        'remote.stop': 'Stop in that tab',
+
+        'offline.title': 'You are offline',
+        'offline.description': 'The radio server or the internet is unreachable. Playback resumes as soon as the connection is back.',
+        'offline.retrying': 'Retrying automatically…',
+        'offline.checking': 'Checking the connection…',
+        'offline.retry': 'Try again',
+        'update.available': 'A new version of the app is ready.',
+        'update.reload': 'Reload',
+
+        'stats.open': '📊 Listening stats',
+        'stats.title': 'Listening statistics',
+        'stats.from': 'From',
+        'stats.to': 'to',
+        'stats.total': 'Total listening time: {time}',
+        'stats.stations': 'Time per station',
+        'stats.hours': 'Listening by hour of day',
+        'stats.peakHour': 'Most listening at {hour}',
+        'stats.artists': 'Top artists',
+        'stats.tracks': 'Top tracks',
+        'stats.plays': '{count}×',
+        'stats.hoursMinutes': '{hours} h {minutes} min',
+        'stats.minutes': '{minutes} min',
+        'stats.empty': 'Nothing was heard in this period.',
+        'stats.clear': 'Clear statistics',
+        'stats.clearConfirm': 'Delete all listening statistics?',
+
+        'requests.open': '🎵 Request a song',
+        'requests.title': 'Request a song',
+        'requests.search': 'Search songs or artists...',
+        'requests.loading': 'Loading the song list...',
+        'requests.empty': 'No songs can be requested right now.',
+        'requests.noResults': 'No song matches this search.',
+        'requests.loadError': 'Could not load the song list.',
+        'requests.submit': 'Request',
+        'requests.submitted': 'Requested',
+        'requests.success': 'Your request was submitted and will play soon.',
+        'requests.cooldown': 'You requested a song recently; please wait a little and try again.',
+        'requests.error': 'The request could not be submitted.',
+        'requests.previous': 'Previous',
+        'requests.next': 'Next',
+        'requests.page': 'Page {page} of {total}',
+
+        'shortcuts.title': 'Keyboard shortcuts',
+        'shortcuts.space': 'Space',
+        'shortcuts.playPause': 'Play / stop',
+        'shortcuts.stations': 'Previous / next station',
+        'shortcuts.stationNumber': 'Select a station by number',
+        'shortcuts.mute': 'Mute / unmute',
+        'shortcuts.help': 'Show this help',
+        'shortcuts.close': 'Close the dialog',
+        'a11y.nowPlaying': 'Now playing: {title} by {artist}, {station}',
+
+        'quality.label': 'Quality:',
+        'quality.hls': 'HLS (adaptive)',
+        'quality.autoWith': 'Auto ({stream})',
+        'quality.downgraded': 'Repeated buffering: switched to {stream}.',
+
+        'sleep.label': 'Sleep timer:',
+        'sleep.off': 'Off',
+        'sleep.15': '15 minutes',
+        'sleep.30': '30 minutes',
+        'sleep.60': '60 minutes',
+        'sleep.track': 'End of current track',
+        'sleep.custom': 'Custom...',
+        'sleep.minutes': 'minutes',
+        'sleep.customLabel': 'Sleep timer length (minutes)',
+
+        'library.open': '❤ Liked songs',
+        'library.title': 'Liked songs',
+        'library.search': 'Search...',
+        'library.exportCsv': 'Export CSV',
+        'library.exportJson': 'Export JSON',
+        'library.import': 'Import file',
+        'library.noResults': 'No results',
+        'library.empty': 'No liked songs yet',
+        'library.importError': 'Could not import the file.',
+
+        'eq.title': 'Equalizer (this station)',
+        'eq.preset': 'Preset:',
+        'eq.normalize': 'Normalize loudness across stations',
+        'eq.flat': 'Flat',
+        'eq.bassBoost': 'Bass boost',
+        'eq.vocal': 'Vocal',
+        'eq.night': 'Night',
+        'eq.custom': 'Custom',
+
+        'recording.title': 'Recordings',
+        'recording.unsupported': 'Recording is not supported in this browser.',
+        'recording.startFirst': 'Start playback before recording.',
+        'recording.maxSize': 'Recording size limit reached.',
+        'recording.maxDuration': 'Recording length limit reached.',
+        'recording.active': 'Recording: {time} · {size} MB',
+        'recording.none': 'No recordings',
+
+        'settings.title': 'Settings',
+        'settings.latency': 'Stream delay for this station (seconds):',
+        'settings.sleepFade': 'Sleep timer fade-out (seconds):',
+        'settings.crossfade': 'Crossfade when switching stations (seconds):',
+        'servers.title': 'AzuraCast servers',
+        'servers.description': 'Add the stations of other AzuraCast servers to the list.',
+        'servers.url': 'AzuraCast server address',
+        'servers.add': 'Add',
+        'servers.remove': 'Remove {server}',
+        'servers.default': 'Default',
+        'servers.checking': 'Checking the server...',
+        'servers.added': 'Server added ({count} stations).',
+        'servers.invalidUrl': 'This is not a valid address.',
+        'servers.duplicate': 'This server has already been added.',
+        'servers.unreachable': 'Could not connect to the server.',
+        'servers.invalid': 'This address is not an AzuraCast server.',
+        'servers.export': 'Export JSON',
+        'servers.import': 'Import file',
+        'servers.imported': '{added} servers added, {skipped} skipped.',
+        'servers.importError': 'Could not read the server settings file.',
+        'notifications.enable': 'Notify on track change',
+        'notifications.stations': 'Stations that notify:',
+        'notifications.unsupported': 'This browser does not support notifications.',
+        'notifications.denied': 'Notifications are blocked (allow them in the browser settings).',
+        'notifications.like': 'Like',
+        'notifications.nextStation': 'Next station',
+        'notifications.body': '{artist} · {station}',
+        'latency.estimate': 'Current delay: {seconds} s ({source})',
+        'latency.override': 'manual',
+        'latency.measured': 'measured',
+        'latency.default': 'default',
+        'latency.unmeasurable': 'default, the server does not report its delay',
+
+        'visualizer.history': 'Wave',
+        'visualizer.spectrum': 'Spectrum',
+        'visualizer.oscilloscope': 'Scope',
+        'visualizer.radial': 'Radial',
+
+        // English users see the original station names
+        stations: {}
+    }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Returns the active locale code.
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Picks a supported locale for a language tag (e.g. 'en-US' -> 'en').
+ * @param {string} [tag] - Language tag.
+ * @returns {string|null} Supported locale code, or null.
+ */
+function resolveLocale(tag) {
+    const code = String(tag || '').toLowerCase().split('-')[0];
+    return LOCALES[code] ? code : null;
+}
+
+/**
+ * Translates a message key, filling {name} placeholders from params.
+ * Falls back to the default locale, then to the key itself.
+ * @param {string} key - Message key.
+ * @param {object} [params] - Placeholder values.
+ * @param {string} [locale] - Locale code (default: the active locale).
+ * @returns {string} Translated message.
+ */
+function t(key, params = {}, locale = currentLocale) {
+    const message = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Returns a station's display name (the catalog name, else the original API name).
+ * @param {string} originalName - Station name from the API.
+ * @param {string} [locale] - Locale code.
+ * @returns {string} Display name.
+ */
+function getStationDisplayName(originalName, locale = currentLocale) {
+    return MESSAGES[locale]?.stations?.[originalName] || originalName;
+}
+
+/**
+ * Formats a number with the locale's numerals (Persian digits in fa).
+ * @param {number} value - Number to format.
+ * @param {Intl.NumberFormatOptions} [options] - Intl options.
+ * @param {string} [locale] - Locale code.
+ * @returns {string} Formatted number.
+ */
+function formatNumber(value, options = {}, locale = currentLocale) {
+    return new Intl.NumberFormat(LOCALES[locale].intl, { useGrouping: false, ...options }).format(value);
+}
+
+/**
+ * Formats a date/time for the locale.
+ * @param {Date|number} date - Date or ms timestamp.
+ * @param {Intl.DateTimeFormatOptions} [options] - Intl options.
+ * @param {string} [locale] - Locale code.
+ * @returns {string} Formatted date/time.
+ */
+function formatDateTime(date, options = {}, locale = currentLocale) {
+    return new Intl.DateTimeFormat(LOCALES[locale].intl, options).format(date);
+}
+
+/**
+ * Translates the data-i18n / data-i18n-attr elements under root.
+ * @param {Document|ShadowRoot|Element} [root] - Where to look.
+ * @param {string} [locale] - Locale code.
+ */
+function translatePage(root = document, locale = currentLocale) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, {}, locale);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(',').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            element.setAttribute(attribute, t(key, {}, locale));
+        });
+    });
+}
+
+/**
+ * Switches the page language: updates lang/dir on <html> and the static texts.
+ * @param {string} locale - Locale code.
+ * @returns {boolean} False if the locale is not supported.
+ */
+function setLocale(locale) {
+    if (!LOCALES[locale]) return false;
+
+    currentLocale = locale;
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+    translatePage();
+    return true;
+}
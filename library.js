@@ -0,0 +1,415 @@
+/**
+ * Local library of the Beeptunes radio player: liked songs and listening
+ * statistics in IndexedDB, the CSV/JSON import and export of the liked songs,
+ * and the statistics summary.
+ *
+ * It never touches the DOM: indexedDB and the clock are injected, so the
+ * formats and the summary run under Node too.
+ */
+
+// --- Local Database (IndexedDB) ---
+const DB_NAME = 'beep-radio';
+const DB_VERSION = 2;
+const LIKED_SONGS_STORE = 'likedSongs';
+const LISTENING_SESSIONS_STORE = 'listeningSessions';
+const HEARD_TRACKS_STORE = 'heardTracks';
+const CSV_COLUMNS = ['title', 'artist', 'album', 'art', 'station', 'stationName', 'likedAt'];
+
+// Node (unit tests): getSongKey of player-core.js is not a global there
+const librarySongKey = typeof getSongKey === 'function' ? getSongKey : require('./player-core.js').getSongKey;
+
+// --- Pure Helpers ---
+
+/**
+ * Builds a liked song record from the song and station of the now playing info.
+ * @param {number} likedAt - Like time (ms).
+ */
+function createLikedSongRecord(song, station, likedAt) {
+    return {
+        id: librarySongKey(song),
+        title: song.title || '',
+        artist: song.artist || '',
+        album: song.album || '',
+        art: song.art || '',
+        station: station.shortcode,
+        stationName: station.name, // Original API name (translated when shown)
+        likedAt: likedAt,
+        song: song
+    };
+}
+
+/**
+ * Quotes a CSV field (RFC 4180).
+ */
+function toCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses CSV text (RFC 4180, quoted fields allowed) into rows of fields.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value !== ''));
+}
+
+/**
+ * Formats the liked songs as an export file.
+ * @param {Array} songs - Liked song records.
+ * @param {'csv'|'json'} format - Export format.
+ * @param {number} now - Export time (ms), for the file name.
+ * @returns {{content: string, fileName: string, mimeType: string}}
+ */
+function formatLibraryExport(songs, format, now) {
+    const date = new Date(now).toISOString().slice(0, 10);
+    if (format === 'json') {
+        return { content: JSON.stringify(songs, null, 2), fileName: `beep-liked-songs-${date}.json`, mimeType: 'application/json' };
+    }
+
+    const lines = [CSV_COLUMNS.join(',')];
+    songs.forEach(record => {
+        lines.push(CSV_COLUMNS.map(column => toCsvField(column === 'likedAt' ? new Date(record.likedAt).toISOString() : record[column])).join(','));
+    });
+    // BOM so spreadsheet apps read the Persian text as UTF-8
+    return { content: '\uFEFF' + lines.join('\r\n'), fileName: `beep-liked-songs-${date}.csv`, mimeType: 'text/csv' };
+}
+
+/**
+ * Converts an imported CSV/JSON entry to a library record (or null if invalid).
+ * @param {number} now - Like time for entries without one (ms).
+ */
+function normalizeImportedSong(entry, now) {
+    if (!entry || !entry.title) return null;
+
+    const likedAt = typeof entry.likedAt === 'number' ? entry.likedAt : Date.parse(entry.likedAt);
+    const song = entry.song || { title: entry.title, artist: entry.artist || '', album: entry.album || '', art: entry.art || '' };
+    return {
+        id: entry.id || librarySongKey(song),
+        title: entry.title,
+        artist: entry.artist || '',
+        album: entry.album || '',
+        art: entry.art || '',
+        station: entry.station || '',
+        stationName: entry.stationName || entry.station || '',
+        likedAt: Number.isFinite(likedAt) ? likedAt : now,
+        song: song
+    };
+}
+
+/**
+ * Reads the liked songs of an import file (same formats as the export).
+ * @param {string} fileName - Name of the file (.json, else CSV).
+ * @param {string} text - File content.
+ * @param {number} now - Like time for entries without one (ms).
+ * @returns {Array} Library records (invalid entries are skipped).
+ * @throws {Error} If a JSON file is not an array.
+ */
+function parseLibraryFile(fileName, text, now) {
+    const content = text.replace(/^\uFEFF/, '');
+    let entries;
+
+    if (fileName.toLowerCase().endsWith('.json')) {
+        entries = JSON.parse(content);
+        if (!Array.isArray(entries)) throw new Error('Expected an array of songs');
+    } else {
+        const [header, ...rows] = parseCsv(content);
+        entries = rows.map(values => Object.fromEntries(header.map((column, i) => [column.trim(), values[i] ?? ''])));
+    }
+    return entries.map(entry => normalizeImportedSong(entry, now)).filter(Boolean);
+}
+
+/**
+ * Summarizes the sessions and tracks of a time range.
+ * Sessions overlapping the range count only their part inside it.
+ * @param {Array} sessions - Listening session records.
+ * @param {Array} tracks - Heard track records.
+ * @param {number} from - Range start (ms).
+ * @param {number} to - Range end (ms, exclusive).
+ * @returns {object} { totalMs, stations: [{ station, stationName, ms }], hours: ms per local hour (24),
+ * artists: [{ artist, count }], tracks: [{ title, artist, count }] } (lists sorted, largest first).
+ */
+function summarizeListening(sessions, tracks, from, to) {
+    const stations = {};
+    const hours = new Array(24).fill(0);
+    let totalMs = 0;
+
+    sessions.forEach(session => {
+        const start = Math.max(session.startedAt, from);
+        const end = Math.min(session.endedAt, to);
+        if (end <= start) return;
+
+        totalMs += end - start;
+        const entry = stations[session.station] || (stations[session.station] = { station: session.station, stationName: session.stationName, ms: 0 });
+        entry.ms += end - start;
+
+        // Split the session at each hour boundary (local time)
+        for (let cursor = start; cursor < end;) {
+            const hourEnd = new Date(cursor);
+            hourEnd.setMinutes(60, 0, 0);
+            const sliceEnd = Math.min(hourEnd.getTime(), end);
+            hours[new Date(cursor).getHours()] += sliceEnd - cursor;
+            cursor = sliceEnd;
+        }
+    });
+
+    const artists = {};
+    const topTracks = {};
+    tracks.filter(track => track.heardAt >= from && track.heardAt < to).forEach(track => {
+        if (track.artist) {
+            const artistKey = track.artist.toLowerCase();
+            (artists[artistKey] || (artists[artistKey] = { artist: track.artist, count: 0 })).count++;
+        }
+        (topTracks[track.songKey] || (topTracks[track.songKey] = { title: track.title, artist: track.artist, count: 0 })).count++;
+    });
+
+    return {
+        totalMs,
+        stations: Object.values(stations).sort((a, b) => b.ms - a.ms),
+        hours,
+        artists: Object.values(artists).sort((a, b) => b.count - a.count),
+        tracks: Object.values(topTracks).sort((a, b) => b.count - a.count)
+    };
+}
+
+/**
+ * Creates the local library on the IndexedDB database.
+ * Every method rejects with the IndexedDB error (callers log it and carry on).
+ * @param {object} [options]
+ * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation.
+ * @param {object} [options.clock] - { now }.
+ * @returns {object} Library.
+ */
+function createLibrary(options = {}) {
+    const indexedDBImpl = options.indexedDB || globalThis.indexedDB;
+    const clock = { now: () => Date.now(), ...options.clock };
+
+    // --- Database ---
+
+    /**
+     * Opens (and creates/upgrades) the database.
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDBImpl.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(LIKED_SONGS_STORE)) {
+                    const store = db.createObjectStore(LIKED_SONGS_STORE, { keyPath: 'id' });
+                    store.createIndex('likedAt', 'likedAt');
+                }
+                // Version 2: listening statistics
+                if (!db.objectStoreNames.contains(LISTENING_SESSIONS_STORE)) {
+                    const store = db.createObjectStore(LISTENING_SESSIONS_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('startedAt', 'startedAt');
+                }
+                if (!db.objectStoreNames.contains(HEARD_TRACKS_STORE)) {
+                    const store = db.createObjectStore(HEARD_TRACKS_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('heardAt', 'heardAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Runs requests against an object store in one transaction and resolves with the last result.
+     * @param {string} storeName - Object store name.
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore): (IDBRequest|undefined)} action - Creates the request(s).
+     */
+    async function runStoreRequest(storeName, mode, action) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request?.result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        });
+    }
+
+    // --- Liked Songs ---
+
+    /**
+     * Returns all liked songs, newest first.
+     */
+    async function getLikedSongs() {
+        const songs = await runStoreRequest(LIKED_SONGS_STORE, 'readonly', store => store.getAll());
+        return songs.sort((a, b) => b.likedAt - a.likedAt);
+    }
+
+    /**
+     * Returns true if the song is liked.
+     */
+    async function isLiked(song) {
+        return Boolean(await runStoreRequest(LIKED_SONGS_STORE, 'readonly', store => store.get(librarySongKey(song))));
+    }
+
+    /**
+     * Adds a song to the liked songs.
+     */
+    function likeSong(song, station) {
+        return runStoreRequest(LIKED_SONGS_STORE, 'readwrite', store => store.put(createLikedSongRecord(song, station, clock.now())));
+    }
+
+    /**
+     * Removes a liked song by its record id.
+     */
+    function deleteLikedSong(id) {
+        return runStoreRequest(LIKED_SONGS_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Likes or unlikes a song.
+     * @returns {Promise<boolean>} Whether the song is liked now.
+     */
+    async function toggleLike(song, station) {
+        if (await isLiked(song)) {
+            await deleteLikedSong(librarySongKey(song));
+            return false;
+        }
+        await likeSong(song, station);
+        return true;
+    }
+
+    /**
+     * Exports the liked songs (see formatLibraryExport).
+     */
+    async function exportLikedSongs(format) {
+        return formatLibraryExport(await getLikedSongs(), format, clock.now());
+    }
+
+    /**
+     * Imports liked songs from a CSV or JSON file's text (existing songs are replaced).
+     * @returns {Promise<number>} Number of imported songs.
+     */
+    async function importLikedSongs(fileName, text) {
+        const records = parseLibraryFile(fileName, text, clock.now());
+        await runStoreRequest(LIKED_SONGS_STORE, 'readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+        return records.length;
+    }
+
+    // --- Listening Statistics ---
+
+    /**
+     * Stores a new listening session record.
+     * @returns {Promise<number>} Its id.
+     */
+    function addListeningSession(record) {
+        return runStoreRequest(LISTENING_SESSIONS_STORE, 'readwrite', store => store.add(record));
+    }
+
+    /**
+     * Updates a stored listening session record.
+     */
+    function saveListeningSession(record) {
+        return runStoreRequest(LISTENING_SESSIONS_STORE, 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * Logs a heard track.
+     */
+    function addHeardTrack(song, station) {
+        return runStoreRequest(HEARD_TRACKS_STORE, 'readwrite', store => store.add({
+            songKey: librarySongKey(song),
+            title: song.title || '',
+            artist: song.artist || '',
+            station: station.shortcode,
+            stationName: station.name, // Original API name (translated when shown)
+            heardAt: clock.now()
+        }));
+    }
+
+    /**
+     * Returns all listening sessions and heard tracks.
+     * @returns {Promise<{sessions: Array, tracks: Array}>}
+     */
+    async function getListeningRecords() {
+        const [sessions, tracks] = await Promise.all([
+            runStoreRequest(LISTENING_SESSIONS_STORE, 'readonly', store => store.getAll()),
+            runStoreRequest(HEARD_TRACKS_STORE, 'readonly', store => store.getAll())
+        ]);
+        return { sessions, tracks };
+    }
+
+    /**
+     * Deletes all listening statistics.
+     */
+    async function clearListeningRecords() {
+        await runStoreRequest(LISTENING_SESSIONS_STORE, 'readwrite', store => store.clear());
+        await runStoreRequest(HEARD_TRACKS_STORE, 'readwrite', store => store.clear());
+    }
+
+    return {
+        getLikedSongs,
+        isLiked,
+        likeSong,
+        deleteLikedSong,
+        toggleLike,
+        exportLikedSongs,
+        importLikedSongs,
+        addListeningSession,
+        saveListeningSession,
+        addHeardTrack,
+        getListeningRecords,
+        clearListeningRecords
+    };
+}
+
+// Node (unit tests): export the library and its formats
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createLibrary,
+        createLikedSongRecord,
+        toCsvField,
+        parseCsv,
+        formatLibraryExport,
+        normalizeImportedSong,
+        parseLibraryFile,
+        summarizeListening
+    };
+}
@@ -0,0 +1,1479 @@
+/**
+ * Headless player core for the Beeptunes radio player.
+ *
+ * Owns station parsing, now playing track selection (stream latency, history
+ * and up next), the now playing subscription (event stream with polling
+ * fallback) and the playback state machine (reconnects, stall detection,
+ * mount fallback). It never touches the DOM: fetch, EventSource, the clock
+ * and the audio output are injected, so the same logic runs under Node.
+ *
+ * Events (subscribe with core.on(type, handler)):
+ * - stationschange { stations }
+ * - stationupdate  { station } (listeners, live DJ, online status or current track changed)
+ * - stationdata    { stationData } (a station's now playing payload was fetched or pushed)
+ * - crossfadestart { station } (the station is buffering while the current one keeps playing)
+ * - stationchange  { station }
+ * - streamchange   { stream, preferences }
+ * - qualitychange  { stream, reason } (auto quality moved to another stream; reason: buffering)
+ * - nowplaying     { data, station, track, song, upNext, history, latency, isNewTrack } (track is null without data)
+ * - trackchange    { song, station, track }
+ * - progress       { elapsed, duration, startTime }
+ * - statechange    { state, previousState } (stopped | loading | playing | buffering | reconnecting)
+ * - reconnecting   { attempt, maxAttempts, delay }
+ * - latencychange  { overrides, serverDelays } (also when a server's delay turns out unmeasurable)
+ * - error          { code, error } (code: stream | autoplay | audiocontext | offline (no station is online))
+ */
+
+// --- Default Settings ---
+const DEFAULT_API_SERVER = 'https://radio.beeptunes.com';
+const TIME_LAG_BUFFER = 40; // Default stream latency in seconds, used until a station has been measured
+const POLL_INTERVAL = 10000; // Polling fallback interval when the event stream is unavailable
+const SSE_RETRY_DELAY = 60000; // Delay before retrying a closed event stream
+const PROGRESS_INTERVAL = 1000; // Progress tick (ms)
+const TRACK_END_REFETCH_DELAY = 5; // Seconds after a track's end before asking for new info
+
+// --- Stream Latency Estimation ---
+const LATENCY_SMOOTHING = 0.2; // Weight of each new client buffer sample (moving average)
+const DELAY_PROBE_TIMEOUT = 120000; // Stop waiting for the mount's title change after this long (ms)
+const DELAY_PROBE_RETRY_INTERVAL = 5000; // Time between the mount status reads while the old title plays (ms)
+const DELAY_PROBE_MIN_INTERVAL = 600000; // Re-measure a station's server delay at most every 10 minutes (ms)
+
+// --- Stream Reconnection Settings ---
+const RECONNECT_BASE_DELAY = 1000; // First retry delay in ms (doubles on each attempt)
+const RECONNECT_MAX_DELAY = 30000; // Upper bound for the retry delay in ms
+const MAX_RECONNECT_ATTEMPTS = 8; // Give up after this many failed attempts
+const STALL_TIMEOUT = 15000; // Reconnect if playback position does not advance for this long (ms)
+const STALL_CHECK_INTERVAL = 1000;
+
+// --- Stream Quality Settings ---
+const BUFFERING_WINDOW = 60000; // Window for counting buffering events (ms)
+const BUFFERING_DOWNGRADE_COUNT = 3; // Buffering events within the window that trigger a lower mount (auto quality only)
+
+// --- Crossfade Settings ---
+const CROSSFADE_START_TIMEOUT = 15000; // Switch directly if the next station has not started playing by then (ms)
+
+// --- Song Request Settings ---
+const REQUESTS_PER_PAGE = 20;
+const REQUEST_COOLDOWN_PATTERN = /too recently|please wait|already (been )?requested|duplicate/i; // AzuraCast messages of rejected repeat requests
+
+// --- Pure Helpers ---
+
+/**
+ * Builds a stable key for a song (AzuraCast song id, or artist + title).
+ * @param {object} song - Song object from the API.
+ * @returns {string} Song key.
+ */
+function getSongKey(song) {
+    return song.id || `${song.artist || ''} - ${song.title || ''}`.toLowerCase();
+}
+
+/**
+ * Builds the station timeline (newest first) from the API response:
+ * playing_next, now_playing, then song_history.
+ * @param {object} data - Now playing payload of one station.
+ * @returns {Array} Timeline items that carry a song.
+ */
+function buildTrackTimeline(data) {
+    const timeline = [];
+    if (data.playing_next) timeline.push(data.playing_next);
+    timeline.push(data.now_playing);
+    if (Array.isArray(data.song_history)) timeline.push(...data.song_history);
+    return timeline.filter(item => item && item.song);
+}
+
+/**
+ * Determines the track we are actually hearing, based on the current time and
+ * the stream latency, and splits the timeline around it.
+ * @param {object} data - Now playing payload of one station.
+ * @param {number} nowSec - Current Unix time in seconds.
+ * @param {number} latency - Stream latency in seconds.
+ * @returns {{track: object, upNext: (object|null), history: Array}} Selection.
+ */
+function selectCurrentTrack(data, nowSec, latency) {
+    let trackData = data.now_playing;
+
+    // Calculate corrected start and end times for the 'now_playing' item
+    const nowStartTime = trackData.played_at + latency; // Seconds
+    const nowEndTime = nowStartTime + trackData.duration; // Seconds
+
+    // --- Previous Song (now < nowStartTime) ---
+    if (nowSec < nowStartTime) {
+        const lastHistory = data.song_history && data.song_history.length > 0 ? data.song_history[0] : null;
+        if (lastHistory) {
+            // If the history item is too old, still fall back to the now_playing item
+            const historyEndTime = lastHistory.played_at + latency + lastHistory.duration;
+            if (nowSec <= historyEndTime) {
+                trackData = lastHistory;
+            }
+        } else {
+            console.error("API timing mismatch: current time is before now_playing start, but song_history is empty. Falling back to now_playing.");
+        }
+    }
+    // --- Next Song (now >= nowEndTime) ---
+    else if (nowSec >= nowEndTime && data.playing_next) {
+        trackData = data.playing_next;
+    }
+
+    // Split the timeline around the selected track
+    const timeline = buildTrackTimeline(data);
+    const index = timeline.indexOf(trackData);
+    return {
+        track: trackData,
+        upNext: index > 0 ? timeline[index - 1] : null,
+        history: timeline.slice(index + 1)
+    };
+}
+
+/**
+ * Extracts every playable stream of a station: all mounts and relays (with bitrate/format) and HLS.
+ * @param {object} station - Station object from the API.
+ * @param {boolean} hlsSupported - Whether HLS streams can be played.
+ * @returns {Array} Streams ({ id, type, name, url, bitrate, format, isDefault }).
+ */
+function extractStreams(station, hlsSupported) {
+    const streams = [...(station.mounts || []), ...(station.remotes || [])].map(mount => ({
+        id: `mount:${mount.id ?? mount.url}`,
+        type: 'mount',
+        name: mount.name || '',
+        url: mount.url,
+        bitrate: mount.bitrate || 0,
+        format: (mount.format || '').toUpperCase(),
+        isDefault: Boolean(mount.is_default)
+    }));
+
+    if (station.hls_enabled && station.hls_url && hlsSupported) {
+        streams.push({ id: 'hls', type: 'hls', name: 'HLS', url: station.hls_url, bitrate: 0, format: 'HLS', isDefault: Boolean(station.hls_is_default) });
+    }
+
+    // Older API responses may only carry listen_url
+    if (station.listen_url && !streams.some(s => s.url === station.listen_url)) {
+        streams.unshift({ id: 'listen', type: 'mount', name: '', url: station.listen_url, bitrate: 0, format: '', isDefault: !streams.some(s => s.isDefault) });
+    }
+
+    return streams.filter(s => s.url);
+}
+
+/**
+ * Normalizes an AzuraCast base URL typed by the user
+ * (e.g. "radio.example.org/api/nowplaying" -> "https://radio.example.org").
+ * @param {string} value - URL or host name.
+ * @returns {string|null} Base URL, or null if it is not an http(s) URL.
+ */
+function normalizeServerUrl(value) {
+    let text = String(value || '').trim();
+    if (!text) return null;
+    if (!/^[a-z][a-z\d+.-]*:\/\//i.test(text)) {
+        text = `https://${text}`;
+    }
+
+    let url;
+    try {
+        url = new URL(text);
+    } catch (error) {
+        return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+    // Pasted API or public page links keep only the part before /api or /public
+    const path = url.pathname.replace(/\/(api|public)(\/.*)?$/, '').replace(/\/+$/, '');
+    return `${url.origin}${path}`;
+}
+
+/**
+ * Builds the player's key of a station. Shortcodes are only unique per server,
+ * so stations of additional servers get their server's host (shortcode@host).
+ * @param {string} shortcode - AzuraCast shortcode.
+ * @param {string} server - Base URL of the station's server.
+ * @param {boolean} isPrimary - True for the first (primary) server.
+ * @returns {string} Station key.
+ */
+function getStationKey(shortcode, server, isPrimary) {
+    if (isPrimary) return shortcode;
+    let host = server;
+    try {
+        host = new URL(server).host;
+    } catch (error) {
+        // Relative base URL: keep it as-is
+    }
+    return `${shortcode}@${host}`;
+}
+
+/**
+ * Tags a now playing payload with its server: station.shortcode becomes the
+ * player's station key and the server's own shortcode is kept in api_shortcode.
+ * @param {object} stationData - One entry of a server's /api/nowplaying response.
+ * @param {string} server - Base URL of the server.
+ * @param {boolean} isPrimary - True for the first (primary) server.
+ * @returns {object} Payload with { source } and the keyed station.
+ */
+function scopeStationData(stationData, server, isPrimary) {
+    return {
+        ...stationData,
+        source: server,
+        station: {
+            ...stationData.station,
+            shortcode: getStationKey(stationData.station.shortcode, server, isPrimary),
+            api_shortcode: stationData.station.shortcode
+        }
+    };
+}
+
+/**
+ * Extracts a station's live status from its now playing payload.
+ * @param {object} stationData - One entry of the /api/nowplaying response.
+ * @returns {object} { isOnline, listeners, live: { isLive, streamerName }, song }.
+ */
+function extractStationStatus(stationData) {
+    const listeners = stationData.listeners || {};
+    return {
+        isOnline: stationData.is_online !== false,
+        listeners: listeners.current ?? listeners.total ?? 0,
+        live: {
+            isLive: Boolean(stationData.live?.is_live),
+            streamerName: stationData.live?.streamer_name || ''
+        },
+        song: stationData.now_playing?.song || null
+    };
+}
+
+/**
+ * Extracts available stations from the API response.
+ * @param {Array} allStationsData - /api/nowplaying response.
+ * @param {object} [options]
+ * @param {object} [options.stationNames] - Display name per original station name.
+ * @param {boolean} [options.hlsSupported] - Whether HLS streams can be played.
+ * @returns {Array} Stations ({ name, originalName, shortcode, apiShortcode, source, description, requestsEnabled, url, streams }
+ * plus the status fields of extractStationStatus).
+ * source is the server of payloads tagged by scopeStationData (else null).
+ */
+function extractStations(allStationsData, { stationNames = {}, hlsSupported = false } = {}) {
+    return allStationsData.map(stationData => {
+        const originalName = stationData.station.name;
+        const streams = extractStreams(stationData.station, hlsSupported);
+
+        // Prioritize the direct listen_url, otherwise use the default mount URL
+        const listenUrl = stationData.station.listen_url || (stationData.station.mounts?.find(m => m.is_default)?.url);
+
+        return {
+            name: stationNames[originalName] || originalName,
+            originalName: originalName,
+            shortcode: stationData.station.shortcode,
+            apiShortcode: stationData.station.api_shortcode || stationData.station.shortcode,
+            source: stationData.source ?? null,
+            description: stationData.station.description || '',
+            requestsEnabled: Boolean(stationData.station.requests_enabled),
+            url: listenUrl || streams[0]?.url,
+            streams: streams,
+            ...extractStationStatus(stationData)
+        };
+    }).filter(s => s.url);
+}
+
+/**
+ * Returns the stream to use for a station: the saved choice, or (auto) the
+ * station's default (HLS if the station marks it as default), else listen_url.
+ * @param {object} station - Station from extractStations.
+ * @param {string} [preference='auto'] - Saved stream id.
+ * @returns {object} Stream.
+ */
+function getPreferredStream(station, preference = 'auto') {
+    const chosen = station.streams.find(s => s.id === preference);
+    if (chosen) return chosen;
+
+    return station.streams.find(s => s.type === 'hls' && s.isDefault)
+        || station.streams.find(s => s.url === station.url)
+        || station.streams.find(s => s.isDefault)
+        || station.streams[0]
+        || { id: 'listen', type: 'mount', name: '', url: station.url, bitrate: 0, format: '', isDefault: true };
+}
+
+/**
+ * Exponential backoff delay for a reconnect attempt.
+ * @param {number} attempt - Zero-based attempt number.
+ * @returns {number} Delay in ms.
+ */
+function getReconnectDelay(attempt) {
+    return Math.min(RECONNECT_BASE_DELAY * 2 ** attempt, RECONNECT_MAX_DELAY);
+}
+
+/**
+ * Reads the title a mount is sending from the Icecast status page next to it (status-json.xsl).
+ * A plain GET without custom headers, so it needs no CORS preflight (Icecast allows any origin there).
+ * @param {Function} fetchFn - fetch implementation.
+ * @param {string} url - Mount URL (e.g. https://host/listen/station/radio.mp3).
+ * @param {AbortSignal} signal - Aborts the request.
+ * @returns {Promise<string>} "Artist - Title" of the mount ('' if it has none).
+ */
+async function readMountTitle(fetchFn, url, signal) {
+    const response = await fetchFn(new URL('status-json.xsl', url).href, { cache: 'no-store', signal });
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const result = await response.json();
+
+    // One source is an object, several are an array
+    const mount = new URL(url).pathname.split('/').pop();
+    const source = [].concat(result?.icestats?.source || []).find(s => (s.listenurl || '').split('/').pop() === mount);
+    if (!source) {
+        throw new Error('Mount not in the server status');
+    }
+    return [source.artist, source.title].filter(Boolean).join(' - ');
+}
+
+// --- Player Core ---
+
+/**
+ * Creates a player core.
+ *
+ * The audio output is an object with:
+ * load(stream), play() -> Promise, pause(), stop(), getPosition() -> seconds,
+ * getBufferedAhead() -> seconds or null, and onEvent(handler) where handler
+ * receives 'playing' | 'waiting' | 'stalled' | 'error' (plus an optional
+ * reason for errors). play() rejects with
+ * a NotAllowedError (autoplay policy), AbortError (superseded load) or
+ * AudioContextError (audio graph could not start).
+ * Optionally crossfade(stream, seconds) -> Promise: buffers the stream next to
+ * the playing one and resolves when it plays and the fade starts (then it is
+ * the output's current stream); rejects with an AbortError when a load, stop
+ * or newer crossfade cancels it.
+ *
+ * @param {object} [options]
+ * @param {string} [options.apiServer] - AzuraCast base URL (a single server).
+ * @param {Array<string>} [options.apiServers] - AzuraCast base URLs whose stations are merged;
+ * the first (primary) server keeps plain shortcodes as station keys, the others use shortcode@host.
+ * @param {Function} [options.fetch] - fetch implementation.
+ * @param {Function} [options.EventSource] - EventSource constructor (null = always poll).
+ * @param {object} [options.clock] - { now, setTimeout, clearTimeout, setInterval, clearInterval }.
+ * @param {object} [options.audio] - Audio output (see above).
+ * @param {object} [options.stationNames] - Display name per original station name (default: none, names are kept as-is).
+ * @param {boolean} [options.hlsSupported] - Whether HLS streams can be played.
+ * @param {number} [options.defaultLatency] - Latency used until a station is measured (seconds).
+ * @param {number} [options.maxReconnectAttempts] - Reconnect attempts before giving up.
+ * @param {object} [options.latencyOverrides] - Manual latency (seconds) per station shortcode.
+ * @param {object} [options.serverDelays] - Measured server delay (seconds) per station shortcode.
+ * @param {object} [options.streamPreferences] - Stream id per station shortcode.
+ * @param {number} [options.crossfadeDuration] - Crossfade between stations in seconds (0 = hard switch).
+ * @returns {object} Player core.
+ */
+function createPlayerCore(options = {}) {
+    const fetchFn = options.fetch || ((...args) => globalThis.fetch(...args));
+    const EventSourceImpl = options.EventSource !== undefined ? options.EventSource : globalThis.EventSource;
+    const clock = {
+        now: () => Date.now(),
+        setTimeout: (fn, ms) => setTimeout(fn, ms),
+        clearTimeout: (id) => clearTimeout(id),
+        setInterval: (fn, ms) => setInterval(fn, ms),
+        clearInterval: (id) => clearInterval(id),
+        ...options.clock
+    };
+    const audio = options.audio || null;
+    const stationNames = options.stationNames || {};
+    const hlsSupported = Boolean(options.hlsSupported);
+    const defaultLatency = options.defaultLatency ?? TIME_LAG_BUFFER;
+    const maxReconnectAttempts = options.maxReconnectAttempts ?? MAX_RECONNECT_ATTEMPTS;
+
+    const listeners = {};
+
+    // --- Station State ---
+    let apiServers = options.apiServers ? [...options.apiServers] : [options.apiServer ?? DEFAULT_API_SERVER];
+    let stations = [];
+    let currentStation = null;
+    let currentStream = null; // Selected entry of the station's streams (mount or HLS)
+    let streamPreferences = { ...options.streamPreferences };
+
+    // --- Now Playing State ---
+    let eventSources = {}; // Now playing event stream per server
+    let sseRetryTimeoutIds = {};
+    let pollingIntervalId = null;
+    let stationDataCache = {}; // Latest now playing payload per station shortcode (from the event stream)
+    let isSharedNowPlaying = false; // True while another tab's data is used instead of our own updates
+    let lastTrackKey = null;
+    let progressIntervalId = null;
+    let currentPlayedAt = 0; // Raw API played_at of the selected track
+    let currentStartTime = 0; // Lag-adjusted start time of the selected track
+    let currentDuration = 0;
+
+    // --- Latency State ---
+    let latencyOverrides = { ...options.latencyOverrides };
+    let serverDelays = { ...options.serverDelays };
+    let clientBufferSeconds = null; // Smoothed buffer of the audio output (seconds ahead of the playhead)
+    let lastDelayProbeAt = {};
+    let delayProbeController = null;
+    let delayProbeFailures = {}; // Stations whose server delay could not be read (true), so the default is used
+
+    // --- Playback State ---
+    let state = 'stopped';
+    let playbackRequested = false; // True from play() until stop() (the user wants sound)
+    let reconnectAttempts = 0;
+    let reconnectTimeoutId = null;
+    let stallWatchdogIntervalId = null;
+    let lastPlaybackPosition = 0;
+    let lastProgressAt = 0;
+    let bufferingEvents = []; // Timestamps of recent buffering events (auto downgrade)
+    let crossfadeDuration = options.crossfadeDuration ?? 0;
+    let crossfadeId = 0; // Increased by every crossfade and stop, so superseded crossfades are ignored
+
+    // --- Events ---
+
+    /**
+     * Subscribes to an event.
+     * @returns {Function} Unsubscribe function.
+     */
+    function on(type, handler) {
+        (listeners[type] = listeners[type] || []).push(handler);
+        return () => off(type, handler);
+    }
+
+    /**
+     * Unsubscribes from an event.
+     */
+    function off(type, handler) {
+        listeners[type] = (listeners[type] || []).filter(h => h !== handler);
+    }
+
+    /**
+     * Calls every handler of an event (a failing handler does not stop the others).
+     */
+    function emit(type, detail) {
+        (listeners[type] || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${type} handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Moves the playback state machine and announces the change.
+     */
+    function setState(newState) {
+        if (newState === state) return;
+        const previousState = state;
+        state = newState;
+        emit('statechange', { state, previousState });
+    }
+
+    // --- Now Playing ---
+
+    /**
+     * Fetches the now playing data of one server, tagged with the server (see scopeStationData).
+     * @returns {Promise<Array|null>} Null if the server could not be reached.
+     */
+    async function fetchServerData(server) {
+        try {
+            const response = await fetchFn(`${server}/api/nowplaying`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const allStationsData = await response.json();
+            if (!Array.isArray(allStationsData)) {
+                throw new Error('Unexpected now playing response');
+            }
+            const isPrimary = server === apiServers[0];
+            return allStationsData.map(stationData => scopeStationData(stationData, server, isPrimary));
+        } catch (error) {
+            console.error(`Error fetching API data from ${server || 'this server'}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Fetches data from the API of every server (or the given ones) and merges the stations.
+     * @param {Array<string>} [servers] - Base URLs (default: all servers).
+     * @returns {Promise<Array|null>} Null if no server could be reached.
+     */
+    async function fetchData(servers = apiServers) {
+        const results = await Promise.all(servers.map(fetchServerData));
+        if (results.every(result => result === null)) return null;
+        return results.flatMap(result => result || []);
+    }
+
+    /**
+     * Loads the station list from the API of every server.
+     * @returns {Promise<boolean>} False if no server could be reached.
+     */
+    async function loadStations() {
+        const allStationsData = await fetchData();
+        if (!allStationsData) {
+            return false;
+        }
+
+        stations = extractStations(allStationsData, { stationNames, hlsSupported });
+        allStationsData.forEach(stationData => {
+            stationDataCache[stationData.station.shortcode] = stationData;
+        });
+        // On a reload, keep the current station pointing into the new list
+        if (currentStation) {
+            currentStation = stations.find(s => s.shortcode === currentStation.shortcode) || currentStation;
+        }
+        emit('stationschange', { stations });
+        return true;
+    }
+
+    /**
+     * Stores a station's latest now playing payload and announces it and its status changes
+     * (listeners, live DJ, online, current track).
+     */
+    function cacheStationData(stationData) {
+        stationDataCache[stationData.station.shortcode] = stationData;
+        emit('stationdata', { stationData });
+
+        const station = stations.find(s => s.shortcode === stationData.station.shortcode);
+        if (!station) return;
+        const status = extractStationStatus(stationData);
+        const changed = status.isOnline !== station.isOnline
+            || status.listeners !== station.listeners
+            || status.live.isLive !== station.live.isLive
+            || status.live.streamerName !== station.live.streamerName
+            || getSongKey(status.song || {}) !== getSongKey(station.song || {});
+        if (changed) {
+            Object.assign(station, status);
+            emit('stationupdate', { station });
+        }
+    }
+
+    /**
+     * Selects the track for a now playing payload and announces it.
+     */
+    function updateNowPlaying(data) {
+        if (!data || !data.now_playing || !data.station) {
+            lastTrackKey = null;
+            stopProgressTimer();
+            emit('nowplaying', { data, station: data?.station || null, track: null, song: null, upNext: null, history: [], latency: getLatency(), isNewTrack: false });
+            return;
+        }
+
+        const latency = getLatency(data.station.shortcode);
+        const selection = selectCurrentTrack(data, clock.now() / 1000, latency);
+        const song = selection.track.song;
+        const songKey = getSongKey(song);
+        const isNewTrack = songKey !== lastTrackKey;
+        lastTrackKey = songKey;
+
+        emit('nowplaying', {
+            data,
+            station: data.station,
+            track: selection.track,
+            song,
+            upNext: selection.upNext,
+            history: selection.history,
+            latency,
+            isNewTrack
+        });
+        if (isNewTrack) {
+            emit('trackchange', { song, station: data.station, track: selection.track });
+        }
+
+        // The progress timer applies the latency estimate itself
+        startProgressTimer(selection.track.played_at, selection.track.duration);
+
+        // Refine this station's latency estimate when a new track starts on the server
+        probeServerDelay(data);
+    }
+
+    /**
+     * Updates the now playing info for the current station.
+     * While the event stream is connected, the pushed data is used instead of a request.
+     */
+    async function refreshNowPlaying() {
+        if (!currentStation) return;
+
+        const server = currentStation.source ?? apiServers[0];
+        if ((isSharedNowPlaying || isNowPlayingStreamLive(server)) && stationDataCache[currentStation.shortcode]) {
+            updateNowPlaying(stationDataCache[currentStation.shortcode]);
+            return;
+        }
+
+        // Only the current station's server has to be asked
+        const allStationsData = await fetchData([server]);
+        if (allStationsData) {
+            allStationsData.forEach(cacheStationData);
+        }
+        if (allStationsData && currentStation) {
+            const stationData = allStationsData.find(d => d.station.shortcode === currentStation.shortcode);
+            if (stationData) {
+                updateNowPlaying(stationData);
+            }
+        }
+    }
+
+    /**
+     * Emits progress from the lag-adjusted start time and asks for new info once the track is over.
+     */
+    function tickProgress() {
+        if (state === 'playing' || state === 'buffering') {
+            sampleClientBuffer();
+        }
+        currentStartTime = currentPlayedAt + getLatency();
+
+        const elapsed = Math.floor((clock.now() / 1000) - currentStartTime);
+        emit('progress', { elapsed, duration: currentDuration, startTime: currentStartTime });
+        return elapsed;
+    }
+
+    /**
+     * Manages the progress timer loop.
+     * playedAt is the raw API Unix timestamp in seconds; the current latency
+     * estimate is applied on every tick, so progress follows estimate updates.
+     */
+    function startProgressTimer(playedAt, duration) {
+        stopProgressTimer();
+
+        currentPlayedAt = playedAt;
+        currentDuration = duration;
+        tickProgress();
+
+        progressIntervalId = clock.setInterval(() => {
+            const elapsed = tickProgress();
+            // A few seconds after the track finishes, check for new info
+            if (elapsed > currentDuration + TRACK_END_REFETCH_DELAY) {
+                refreshNowPlaying();
+            }
+        }, PROGRESS_INTERVAL);
+    }
+
+    /**
+     * Stops the progress timer.
+     */
+    function stopProgressTimer() {
+        if (progressIntervalId) {
+            clock.clearInterval(progressIntervalId);
+            progressIntervalId = null;
+        }
+    }
+
+    /**
+     * Polling tick: fetches every server whose event stream is down, not only the current
+     * station's, so the data shared with the other tabs covers all stations.
+     */
+    async function pollNowPlaying() {
+        const servers = apiServers.filter(server => !isNowPlayingStreamLive(server));
+        if (servers.length === 0) return;
+
+        const allStationsData = await fetchData(servers);
+        if (!allStationsData) return;
+        allStationsData.forEach(cacheStationData);
+
+        const stationData = currentStation && allStationsData.find(d => d.station.shortcode === currentStation.shortcode);
+        if (stationData) {
+            updateNowPlaying(stationData);
+        }
+    }
+
+    /**
+     * Starts polling the API (fallback when the event stream is unavailable).
+     */
+    function startPolling() {
+        if (pollingIntervalId) return;
+        pollingIntervalId = clock.setInterval(pollNowPlaying, POLL_INTERVAL);
+    }
+
+    /**
+     * Stops polling the API.
+     */
+    function stopPolling() {
+        if (pollingIntervalId) {
+            clock.clearInterval(pollingIntervalId);
+            pollingIntervalId = null;
+        }
+    }
+
+    /**
+     * Returns true while a server's now playing event stream is connected.
+     */
+    function isNowPlayingStreamLive(server) {
+        const eventSource = eventSources[server];
+        return Boolean(eventSource) && eventSource.readyState === 1; // EventSource.OPEN
+    }
+
+    /**
+     * Stores a pushed now playing payload and updates if it is for the current station.
+     * @param {object} publication - Centrifugo publication ({ data: { np } }).
+     * @param {string} server - Server whose event stream sent it.
+     */
+    function handleNowPlayingPublication(publication, server) {
+        const np = publication?.data?.np;
+        if (!np || !np.station) return;
+
+        const stationData = scopeStationData(np, server, server === apiServers[0]);
+        cacheStationData(stationData);
+        if (currentStation && stationData.station.shortcode === currentStation.shortcode) {
+            updateNowPlaying(stationData);
+        }
+    }
+
+    /**
+     * Subscribes to the AzuraCast now playing event stream of every server for all stations.
+     * Falls back to polling while a stream is unavailable.
+     */
+    function startNowPlayingUpdates() {
+        isSharedNowPlaying = false;
+        if (!EventSourceImpl) {
+            startPolling();
+            return;
+        }
+
+        stopNowPlayingStream();
+        apiServers.forEach(connectNowPlayingStream);
+    }
+
+    /**
+     * Opens the now playing event stream of one server (channels use the server's own shortcodes).
+     */
+    function connectNowPlayingStream(server) {
+        const subs = {};
+        stations.filter(station => (station.source ?? apiServers[0]) === server).forEach(station => {
+            subs[`station:${station.apiShortcode}`] = { recover: true };
+        });
+        if (Object.keys(subs).length === 0) return; // Unreachable when the stations were loaded
+
+        const eventSource = new EventSourceImpl(`${server}/api/live/nowplaying/sse?cq=${encodeURIComponent(JSON.stringify({ subs }))}`);
+        eventSources[server] = eventSource;
+
+        eventSource.onmessage = (event) => {
+            let payload;
+            try {
+                payload = JSON.parse(event.data);
+            } catch (error) {
+                console.error("Invalid now playing event:", error);
+                return;
+            }
+
+            if ('connect' in payload) {
+                // Initial state of every subscribed channel; polling ends once every stream is up
+                if (Object.keys(eventSources).every(isNowPlayingStreamLive)) {
+                    stopPolling();
+                }
+                const channels = payload.connect.subs || {};
+                Object.values(channels).forEach(sub => {
+                    (sub.publications || []).forEach(publication => handleNowPlayingPublication(publication, server));
+                });
+            } else if ('pub' in payload) {
+                handleNowPlayingPublication(payload.pub, server);
+            }
+        };
+
+        eventSource.onerror = () => {
+            // Keep the data fresh while the browser reconnects (or after it gives up)
+            startPolling();
+            if (eventSource.readyState === 2) { // EventSource.CLOSED
+                console.error("Now playing event stream closed, falling back to polling.");
+                eventSource.close();
+                delete eventSources[server];
+                sseRetryTimeoutIds[server] = clock.setTimeout(() => {
+                    delete sseRetryTimeoutIds[server];
+                    connectNowPlayingStream(server);
+                }, SSE_RETRY_DELAY);
+            }
+        };
+    }
+
+    /**
+     * Closes the now playing event streams of all servers.
+     */
+    function stopNowPlayingStream() {
+        Object.values(sseRetryTimeoutIds).forEach(id => clock.clearTimeout(id));
+        sseRetryTimeoutIds = {};
+        Object.values(eventSources).forEach(eventSource => eventSource.close());
+        eventSources = {};
+    }
+
+    /**
+     * Stops our own now playing updates and relies on payloads passed to
+     * applySharedStationData (another tab keeps the subscription).
+     */
+    function useSharedNowPlaying() {
+        isSharedNowPlaying = true;
+        stopNowPlayingStream();
+        stopPolling();
+    }
+
+    /**
+     * Takes a now playing payload received from another tab (already tagged by scopeStationData).
+     */
+    function applySharedStationData(stationData) {
+        if (!stationData?.station || !stationData.now_playing) return;
+
+        cacheStationData(stationData);
+        if (currentStation && stationData.station.shortcode === currentStation.shortcode) {
+            updateNowPlaying(stationData);
+        }
+    }
+
+    // --- Servers ---
+
+    /**
+     * Replaces the AzuraCast servers (the first one is the primary). Call loadStations()
+     * and startNowPlayingUpdates() afterwards for the new station list.
+     * @param {Array<string>} servers - Base URLs.
+     */
+    function setApiServers(servers) {
+        stopNowPlayingStream();
+        stopPolling();
+        apiServers = [...servers];
+    }
+
+    /**
+     * Checks that a server answers like AzuraCast (its /api/nowplaying lists stations).
+     * @param {string} server - Base URL (see normalizeServerUrl).
+     * @returns {Promise<object>} { ok: true, stationCount } or { ok: false, code: 'unreachable' | 'invalid' }.
+     */
+    async function checkApiServer(server) {
+        let response;
+        try {
+            // no-store: the answer must come from the server, not the service worker cache
+            response = await fetchFn(`${server}/api/nowplaying`, { cache: 'no-store' });
+        } catch (error) {
+            return { ok: false, code: 'unreachable' };
+        }
+
+        let allStationsData = null;
+        try {
+            allStationsData = response.ok ? await response.json() : null;
+        } catch (error) {
+            // Not JSON: not an AzuraCast API
+        }
+        const isAzuraCast = Array.isArray(allStationsData) && allStationsData.every(stationData => stationData?.station?.shortcode);
+        return isAzuraCast ? { ok: true, stationCount: allStationsData.length } : { ok: false, code: 'invalid' };
+    }
+
+    /**
+     * Returns the server and the server's own shortcode of a station.
+     * @param {string} shortcode - Station key.
+     */
+    function getStationApi(shortcode) {
+        const station = stations.find(s => s.shortcode === shortcode);
+        return station
+            ? { server: station.source ?? apiServers[0], apiShortcode: station.apiShortcode }
+            : { server: apiServers[0], apiShortcode: shortcode };
+    }
+
+    // --- Song Requests ---
+
+    /**
+     * Lists the requestable songs of a station (AzuraCast /api/station/{id}/requests).
+     * Servers that ignore the paging parameters return a plain array, which is paged here.
+     * @param {string} shortcode - Station shortcode.
+     * @param {object} [query]
+     * @param {number} [query.page] - 1-based page.
+     * @param {number} [query.perPage] - Songs per page.
+     * @param {string} [query.search] - Search phrase.
+     * @returns {Promise<object>} { rows: [{ requestId, song }], page, totalPages, total }.
+     */
+    async function getRequestableSongs(shortcode, { page = 1, perPage = REQUESTS_PER_PAGE, search = '' } = {}) {
+        const params = new URLSearchParams({ page: String(page), per_page: String(perPage) });
+        if (search) params.set('searchPhrase', search);
+
+        const { server, apiShortcode } = getStationApi(shortcode);
+        const response = await fetchFn(`${server}/api/station/${encodeURIComponent(apiShortcode)}/requests?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const result = await response.json();
+        const toRow = item => ({ requestId: item.request_id, song: item.song || {} });
+
+        if (Array.isArray(result)) {
+            const query = search.toLowerCase();
+            const matches = query
+                ? result.filter(item => [item.song?.title, item.song?.artist, item.song?.album].some(v => (v || '').toLowerCase().includes(query)))
+                : result;
+            const totalPages = Math.max(1, Math.ceil(matches.length / perPage));
+            return {
+                rows: matches.slice((page - 1) * perPage, page * perPage).map(toRow),
+                page,
+                totalPages,
+                total: matches.length
+            };
+        }
+        return {
+            rows: (result.rows || []).map(toRow),
+            page: result.page || page,
+            totalPages: Math.max(1, result.total_pages || 1),
+            total: result.total ?? (result.rows || []).length
+        };
+    }
+
+    /**
+     * Submits a song request.
+     * @param {string} shortcode - Station shortcode.
+     * @param {string} requestId - request_id from getRequestableSongs.
+     * @returns {Promise<object>} { code: 'success' | 'cooldown' | 'error', message } (message from the server, if any).
+     */
+    async function submitSongRequest(shortcode, requestId) {
+        try {
+            const { server, apiShortcode } = getStationApi(shortcode);
+            const response = await fetchFn(`${server}/api/station/${encodeURIComponent(apiShortcode)}/request/${encodeURIComponent(requestId)}`, { method: 'POST' });
+            let message = '';
+            try {
+                const result = await response.json();
+                message = result.formatted_message || result.message || '';
+            } catch (error) {
+                // Not JSON: keep the status code only
+            }
+
+            if (response.ok) return { code: 'success', message };
+            const isCooldown = response.status === 429 || REQUEST_COOLDOWN_PATTERN.test(message);
+            return { code: isCooldown ? 'cooldown' : 'error', message };
+        } catch (error) {
+            console.error("Error submitting song request:", error);
+            return { code: 'error', message: '' };
+        }
+    }
+
+    // --- Latency ---
+
+    /**
+     * Returns the estimated delay (seconds) between the API's played_at and what we hear.
+     * Priority: manual override, then measured server delay + client buffer, then the default.
+     * @param {string} [shortcode] - Station shortcode (default: current station).
+     * @returns {number} Latency in seconds.
+     */
+    function getLatency(shortcode = currentStation?.shortcode) {
+        if (latencyOverrides[shortcode] !== undefined) {
+            return latencyOverrides[shortcode];
+        }
+        const serverDelay = serverDelays[shortcode];
+        if (serverDelay === undefined) {
+            return defaultLatency;
+        }
+        return serverDelay + (clientBufferSeconds ?? 0);
+    }
+
+    /**
+     * Returns the latency of a station and where it comes from.
+     * @returns {{seconds: number, source: string, override: (number|undefined)}} source: override | measured |
+     * default | unmeasurable (the default, because the server's delay could not be read).
+     */
+    function getLatencyInfo(shortcode = currentStation?.shortcode) {
+        let source = 'default';
+        if (latencyOverrides[shortcode] !== undefined) {
+            source = 'override';
+        } else if (serverDelays[shortcode] !== undefined) {
+            source = 'measured';
+        } else if (delayProbeFailures[shortcode]) {
+            source = 'unmeasurable';
+        }
+        return { seconds: getLatency(shortcode), source, override: latencyOverrides[shortcode] };
+    }
+
+    /**
+     * Sets (or with null, clears) the manual latency of a station and re-selects the track.
+     */
+    function setLatencyOverride(shortcode, seconds) {
+        if (seconds === null || seconds === undefined) {
+            delete latencyOverrides[shortcode];
+        } else {
+            latencyOverrides[shortcode] = seconds;
+        }
+        emit('latencychange', { overrides: { ...latencyOverrides }, serverDelays: { ...serverDelays } });
+        refreshNowPlaying();
+    }
+
+    /**
+     * Samples how far the audio output has buffered ahead of the playhead.
+     * The newest buffered byte is roughly the server's live edge, so this is the client part of the delay.
+     */
+    function sampleClientBuffer() {
+        const ahead = audio ? audio.getBufferedAhead() : null;
+        if (ahead === null || ahead < 0) return;
+
+        clientBufferSeconds = clientBufferSeconds === null
+            ? ahead
+            : clientBufferSeconds + LATENCY_SMOOTHING * (ahead - clientBufferSeconds);
+    }
+
+    /**
+     * Waits for a time, or rejects with an AbortError when the signal aborts.
+     */
+    function waitUnlessAborted(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timeoutId = clock.setTimeout(resolve, ms);
+            signal.addEventListener('abort', () => {
+                clock.clearTimeout(timeoutId);
+                const error = new Error('Aborted');
+                error.name = 'AbortError';
+                reject(error);
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Measures a station's server-side delay: the time from the API's played_at of a
+     * new track until its mount sends the new title. Every few seconds the mount's status
+     * is read; the title changed between the last two reads.
+     * Only runs while playing, once per DELAY_PROBE_MIN_INTERVAL per station. A server
+     * whose status can't be read is remembered, and its latency shows as the default.
+     * @param {object} data - Now playing payload for the current station.
+     */
+    async function probeServerDelay(data) {
+        const shortcode = data.station.shortcode;
+        const track = data.now_playing;
+        const lastProbe = lastDelayProbeAt[shortcode] || 0;
+
+        if (!isPlaying() || delayProbeController || !currentStream || !track?.song?.title) return;
+        if (currentStream.type === 'hls') return; // HLS is packaged apart from the Icecast mounts
+        if (clock.now() - lastProbe < DELAY_PROBE_MIN_INTERVAL) return;
+        // Only a fresh track gives a measurable title change (allow one polling interval)
+        if (clock.now() / 1000 - track.played_at > POLL_INTERVAL / 1000 + 5) return;
+
+        lastDelayProbeAt[shortcode] = clock.now();
+        delayProbeController = new AbortController();
+        const timeoutId = clock.setTimeout(() => delayProbeController?.abort(), DELAY_PROBE_TIMEOUT);
+        const signal = delayProbeController.signal;
+        const streamUrl = currentStream.url;
+        const expectedTitle = track.song.title.trim().toLowerCase();
+        let lastOldTitleAt = null; // When a read last showed the previous title (s)
+
+        try {
+            while (true) {
+                const readAt = clock.now() / 1000;
+                const title = await readMountTitle(fetchFn, streamUrl, signal);
+                delete delayProbeFailures[shortcode];
+                if (title.toLowerCase().includes(expectedTitle)) {
+                    if (lastOldTitleAt === null) return; // Already switched: delay too short to measure
+                    serverDelays[shortcode] = Math.max(0, (lastOldTitleAt + readAt) / 2 - track.played_at);
+                    emit('latencychange', { overrides: { ...latencyOverrides }, serverDelays: { ...serverDelays } });
+                    return;
+                }
+                lastOldTitleAt = readAt;
+                await waitUnlessAborted(DELAY_PROBE_RETRY_INTERVAL, signal);
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                // No status page, or one without CORS: keep the default and say so
+                console.error("Stream delay measurement failed:", error);
+                if (!delayProbeFailures[shortcode]) {
+                    delayProbeFailures[shortcode] = true;
+                    emit('latencychange', { overrides: { ...latencyOverrides }, serverDelays: { ...serverDelays } });
+                }
+            }
+        } finally {
+            clock.clearTimeout(timeoutId);
+            delayProbeController = null;
+        }
+    }
+
+    /**
+     * Cancels a running server delay measurement.
+     */
+    function stopServerDelayProbe() {
+        if (delayProbeController) {
+            delayProbeController.abort();
+        }
+    }
+
+    // --- Stations and Streams ---
+
+    /**
+     * Selects the preferred stream of the current station.
+     */
+    function selectStationStream() {
+        currentStream = getPreferredStream(currentStation, streamPreferences[currentStation.shortcode]);
+        bufferingEvents = [];
+        emit('streamchange', { stream: currentStream, preferences: { ...streamPreferences } });
+    }
+
+    /**
+     * Saves the stream choice of a station ('auto' = station default) and restarts playback on it.
+     */
+    function setStreamPreference(shortcode, streamId) {
+        if (!streamId || streamId === 'auto') {
+            delete streamPreferences[shortcode];
+        } else {
+            streamPreferences[shortcode] = streamId;
+        }
+
+        if (currentStation && currentStation.shortcode === shortcode) {
+            selectStationStream();
+            restartPlayback();
+        } else {
+            emit('streamchange', { stream: currentStream, preferences: { ...streamPreferences } });
+        }
+    }
+
+    /**
+     * Switches to another stream of the current station and announces it.
+     */
+    function useStream(stream) {
+        currentStream = stream;
+        emit('streamchange', { stream: currentStream, preferences: { ...streamPreferences } });
+    }
+
+    /**
+     * Moves to the station's next stream (used to fall back when a mount fails).
+     */
+    function switchToNextStream() {
+        if (!currentStation || currentStation.streams.length < 2 || !currentStream) return;
+
+        const index = currentStation.streams.findIndex(s => s.id === currentStream.id);
+        useStream(currentStation.streams[(index + 1) % currentStation.streams.length]);
+    }
+
+    /**
+     * Counts buffering events; on auto quality, repeated buffering switches to a lower-bitrate mount.
+     */
+    function handleBuffering() {
+        const now = clock.now();
+        bufferingEvents = bufferingEvents.filter(time => now - time < BUFFERING_WINDOW);
+        bufferingEvents.push(now);
+
+        if (!currentStation || streamPreferences[currentStation.shortcode] || bufferingEvents.length < BUFFERING_DOWNGRADE_COUNT) return;
+        if (!currentStream || currentStream.type === 'hls') return; // HLS adapts its bitrate itself
+
+        const lowerStreams = currentStation.streams.filter(s => s.type === 'mount' && s.bitrate > 0 && s.bitrate < currentStream.bitrate);
+        if (lowerStreams.length === 0) return;
+
+        const lower = lowerStreams.reduce((best, s) => (s.bitrate > best.bitrate ? s : best));
+        bufferingEvents = [];
+        useStream(lower);
+        emit('qualitychange', { stream: lower, reason: 'buffering' });
+        restartPlayback();
+    }
+
+    /**
+     * Switches the radio station (playback continues on the new station if it was playing).
+     * While a station plays, the new one is crossfaded in if a crossfade duration is set.
+     * @returns {boolean} False for an unknown or offline station.
+     */
+    function selectStation(shortcode) {
+        const newStation = stations.find(s => s.shortcode === shortcode);
+        if (!newStation) return false;
+        // Offline stations can't be selected (the current one stays selected if it goes offline)
+        if (!newStation.isOnline && newStation !== currentStation) return false;
+
+        const canCrossfade = crossfadeDuration > 0 && audio && audio.crossfade
+            && state === 'playing' && currentStation && newStation !== currentStation;
+        if (canCrossfade) {
+            crossfadeToStation(newStation);
+        } else {
+            switchStation(newStation);
+        }
+        return true;
+    }
+
+    /**
+     * Switches the station directly: stops the current stream and starts the new one.
+     */
+    function switchStation(newStation) {
+        // Stop audio if playing (or still loading) or station is changing
+        const wasPlaying = playbackRequested;
+        if (wasPlaying || currentStation !== newStation) {
+            stop();
+        }
+
+        currentStation = newStation;
+        selectStationStream();
+        emit('stationchange', { station: currentStation });
+
+        // Update playing info (uses pushed data or fetches the latest API data)
+        refreshNowPlaying();
+
+        // If it was playing before the switch, resume playback on the new station
+        if (wasPlaying) {
+            play();
+        }
+    }
+
+    /**
+     * Buffers the new station while the current one plays, then hands over
+     * (station, now playing info) when the fade starts. Falls back to a direct
+     * switch if the new stream fails or does not start in time.
+     */
+    async function crossfadeToStation(newStation) {
+        const id = ++crossfadeId;
+        const stream = getPreferredStream(newStation, streamPreferences[newStation.shortcode]);
+        emit('crossfadestart', { station: newStation });
+
+        let timeoutId = null;
+        const timeout = new Promise((resolve, reject) => {
+            timeoutId = clock.setTimeout(() => reject(new Error('crossfade start timeout')), CROSSFADE_START_TIMEOUT);
+        });
+
+        try {
+            // Called synchronously, so the audio output still sees the user gesture
+            await Promise.race([audio.crossfade(stream, crossfadeDuration), timeout]);
+        } catch (error) {
+            if (id !== crossfadeId || error.name === 'AbortError') return; // Superseded by a newer switch or a stop
+            console.error("Crossfade failed, switching directly:", error);
+            switchStation(newStation);
+            return;
+        } finally {
+            clock.clearTimeout(timeoutId);
+        }
+        if (id !== crossfadeId) return;
+
+        // The new station is now the one being heard
+        stopServerDelayProbe();
+        clientBufferSeconds = null;
+        currentStation = newStation;
+        selectStationStream();
+        emit('stationchange', { station: currentStation });
+        refreshNowPlaying();
+        startStallWatchdog();
+    }
+
+    /**
+     * Sets the crossfade between stations in seconds (0 = switch directly).
+     */
+    function setCrossfadeDuration(seconds) {
+        crossfadeDuration = Math.max(0, Number(seconds) || 0);
+    }
+
+    // --- Playback ---
+
+    /**
+     * Returns true while playback is wanted and running (or being restored).
+     */
+    function isPlaying() {
+        return state === 'playing' || state === 'buffering' || state === 'reconnecting';
+    }
+
+    /**
+     * Cancels a pending reconnect and resets the attempt counter.
+     */
+    function cancelReconnect() {
+        if (reconnectTimeoutId) {
+            clock.clearTimeout(reconnectTimeoutId);
+            reconnectTimeoutId = null;
+        }
+        reconnectAttempts = 0;
+    }
+
+    /**
+     * Handles a dropped or stalled stream by reconnecting with exponential backoff.
+     * Gives up (and stops playback) after maxReconnectAttempts.
+     * @param {string} reason - Short description for the console.
+     */
+    function handleStreamFailure(reason) {
+        if (!playbackRequested || reconnectTimeoutId) return;
+
+        console.error(`Stream failure (${reason}).`);
+        stopStallWatchdog();
+
+        if (reconnectAttempts >= maxReconnectAttempts) {
+            stop();
+            emit('error', { code: 'stream', error: new Error(reason) });
+            return;
+        }
+
+        const delay = getReconnectDelay(reconnectAttempts);
+        reconnectAttempts++;
+        if (audio) audio.pause();
+        setState('reconnecting');
+        emit('reconnecting', { attempt: reconnectAttempts, maxAttempts: maxReconnectAttempts, delay });
+
+        reconnectTimeoutId = clock.setTimeout(() => {
+            reconnectTimeoutId = null;
+            // Fall back to the station's next mount on each attempt
+            switchToNextStream();
+            play();
+        }, delay);
+    }
+
+    /**
+     * Watches the playback position and treats a silent hang as a stream failure.
+     */
+    function startStallWatchdog() {
+        stopStallWatchdog();
+        lastPlaybackPosition = audio.getPosition();
+        lastProgressAt = clock.now();
+
+        stallWatchdogIntervalId = clock.setInterval(() => {
+            const position = audio.getPosition();
+            if (position !== lastPlaybackPosition) {
+                lastPlaybackPosition = position;
+                lastProgressAt = clock.now();
+            } else if (clock.now() - lastProgressAt >= STALL_TIMEOUT) {
+                handleStreamFailure('no progress');
+            }
+        }, STALL_CHECK_INTERVAL);
+    }
+
+    /**
+     * Stops the stall watchdog.
+     */
+    function stopStallWatchdog() {
+        if (stallWatchdogIntervalId) {
+            clock.clearInterval(stallWatchdogIntervalId);
+            stallWatchdogIntervalId = null;
+        }
+    }
+
+    /**
+     * Handles events of the audio output.
+     */
+    function handleAudioEvent(type, reason) {
+        switch (type) {
+            case 'playing':
+                // Stream is (back) up
+                cancelReconnect();
+                if (state === 'buffering' || state === 'reconnecting') setState('playing');
+                break;
+            case 'waiting':
+            case 'stalled':
+                // Buffering: the stall watchdog decides when to reconnect
+                if (playbackRequested && !reconnectTimeoutId && state === 'playing') {
+                    setState('buffering');
+                }
+                if (type === 'waiting' && isPlaying() && !reconnectTimeoutId) {
+                    handleBuffering();
+                }
+                break;
+            case 'error':
+                handleStreamFailure(reason || 'error event');
+                break;
+        }
+    }
+
+    /**
+     * Starts playback of the current stream.
+     * Call it from a user gesture: the audio output starts its audio graph inside play().
+     */
+    async function play() {
+        if (!currentStream || !audio) return;
+
+        playbackRequested = true;
+        clientBufferSeconds = null; // New connection, new buffer
+        if (state !== 'reconnecting') {
+            setState('loading');
+        }
+
+        // Load and play synchronously, so the audio output still sees the user gesture
+        audio.load(currentStream);
+        try {
+            await audio.play();
+        } catch (error) {
+            console.error("Error attempting to play audio:", error);
+            if (error.name === 'AbortError') return; // Superseded by a newer load or a stop
+            if (error.name !== 'NotAllowedError' && error.name !== 'AudioContextError' && playbackRequested) {
+                // Network/format failure: retry with backoff
+                handleStreamFailure(error.name);
+                return;
+            }
+            cancelReconnect();
+            playbackRequested = false;
+            setState('stopped');
+            emit('error', { code: error.name === 'AudioContextError' ? 'audiocontext' : 'autoplay', error });
+            return;
+        }
+
+        if (!playbackRequested) return; // Stopped while loading
+        setState('playing');
+
+        // Detect silent hangs
+        startStallWatchdog();
+    }
+
+    /**
+     * Stops playback.
+     */
+    function stop() {
+        if (audio) {
+            audio.stop();
+        }
+        playbackRequested = false;
+        crossfadeId++; // Cancels a pending crossfade
+
+        // Cancel any pending reconnect
+        cancelReconnect();
+        stopStallWatchdog();
+        stopServerDelayProbe();
+        stopProgressTimer();
+
+        setState('stopped');
+    }
+
+    /**
+     * Restarts playback (e.g. after the stream changed) if something is playing.
+     */
+    function restartPlayback() {
+        if (isPlaying()) {
+            stop();
+            play();
+        }
+    }
+
+    /**
+     * Toggles play/stop. Selects the first online station if none is selected.
+     */
+    function toggle() {
+        if (playbackRequested) {
+            stop();
+            return;
+        }
+        if (!currentStation) {
+            const station = stations.find(s => s.isOnline);
+            if (!station) {
+                emit('error', { code: 'offline', error: new Error('No station is online') });
+                return;
+            }
+            selectStation(station.shortcode);
+        }
+        play();
+    }
+
+    /**
+     * Stops playback and every timer and connection.
+     */
+    function destroy() {
+        stop();
+        stopPolling();
+        stopNowPlayingStream();
+    }
+
+    if (audio) {
+        audio.onEvent(handleAudioEvent);
+    }
+
+    return {
+        on,
+        off,
+        loadStations,
+        startNowPlayingUpdates,
+        useSharedNowPlaying,
+        applySharedStationData,
+        refreshNowPlaying,
+        selectStation,
+        play,
+        stop,
+        toggle,
+        destroy,
+        isPlaying,
+        getState: () => state,
+        getStations: () => stations,
+        getApiServers: () => [...apiServers],
+        setApiServers,
+        checkApiServer,
+        getCurrentStation: () => currentStation,
+        getCurrentStream: () => currentStream,
+        getStreamPreference: (shortcode) => streamPreferences[shortcode] || 'auto',
+        getCrossfadeDuration: () => crossfadeDuration,
+        setCrossfadeDuration,
+        setStreamPreference,
+        getLatency,
+        getLatencyInfo,
+        setLatencyOverride,
+        getTrackTiming: () => ({ startTime: currentStartTime, duration: currentDuration }),
+        getRequestableSongs,
+        submitSongRequest
+    };
+}
+
+// Node (unit tests): export the core and the pure helpers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createPlayerCore,
+        buildTrackTimeline,
+        selectCurrentTrack,
+        extractStations,
+        extractStationStatus,
+        normalizeServerUrl,
+        getStationKey,
+        scopeStationData,
+        extractStreams,
+        getPreferredStream,
+        getReconnectDelay,
+        getSongKey
+    };
+}
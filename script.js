@@ -1,695 +1,3504 @@
-const API_BASE_URL = 'https://radio.beeptunes.com/api/nowplaying';
-const TIME_LAG_BUFFER = 40; // Time buffer in seconds to compensate for stream latency
-
-// --- DOM Elements ---
-const playPauseBtn = document.getElementById('play-pause-btn');
-const playIcon = document.getElementById('play-icon');
-const pauseIcon = document.getElementById('pause-icon');
-const albumArt = document.getElementById('album-art');
-const songTitle = document.getElementById('song-title');
-const artistName = document.getElementById('artist-name');
-const stationNameEl = document.getElementById('station-name');
-const stationsContainer = document.getElementById('stations-container');
-const loadingSpinner = document.getElementById('loading-spinner');
-const stationsPlaceholder = document.getElementById('stations-placeholder');
-
-// --- Time and Visualizer Elements ---
-const elapsedTimeEl = document.getElementById('elapsed-time');
-const durationTimeEl = document.getElementById('duration-time');
-const progressBarEl = document.getElementById('progress-bar');
-const visualizerCanvas = document.getElementById('audio-visualizer');
-const canvasCtx = visualizerCanvas.getContext('2d');
-
-// --- Global Playback Variables ---
-let availableStations = [];
-let audioSource = null;
-let isPlaying = false;
-let currentStationShortcode = null;
-let currentStreamUrl = null;
-let intervalId = null; // For progress bar update
-
-let currentDuration = 0;
-let currentStartTime = 0; // This will now hold the lag-adjusted start time
-
-// --- Visualizer Variables (Web Audio API) ---
-let animationFrameId = null;
-let audioContext = null;
-let analyser = null;
-let sourceNode = null;
-
-// --- Waveform Sampling Control ---
-let peakSamplingIntervalId = null;
-const WAVEFORM_UPDATE_INTERVAL = 15; // 15ms sampling interval for high reactivity
-let waveformHistory = []; // Array to hold historical bar heights
-
-// --- Waveform Drawing Setup ---
-const VIS_W = visualizerCanvas.width;
-const VIS_H = visualizerCanvas.height;
-const CENTER_Y = VIS_H / 2;
-
-// Styles and Colors
-const BAR_COLOR = '#a7f3d0'; // Neon green color
-const LINE_COLOR_CENTER = '#a7f3d0'; // Set to be the exact same as BAR_COLOR (user request)
-const BACKGROUND_COLOR = '#111827'; // Internal Canvas background color
-
-// Bar Geometry
-const BAR_WIDTH = 2; // Width of each bar
-const BAR_SPACING = 1; // Spacing between bars
-const STEP = BAR_WIDTH + BAR_SPACING;
-const TOTAL_BARS = Math.floor(VIS_W / STEP); // Total drawable bars
-let dataArray = null; // Time domain data array
-
-const STATION_NAME_MAP = {
-    "Radio Beeptunes": "رادیو بیپ تونز",
-    "Rangarang": "رنگارنگ",
-    "Aramesh": "آرامش",
-    "Sarkhoshan-e mast": "سرخوشان مست",
-    "Owj": "اوج",
-    "Sarzamin": "سرزمین",
-    "Avang": "آونگ",
-    "Harmony": "هارمونی"
-};
-
-// --- Helper Functions ---
-
-/**
- * Converts seconds to MM:SS format.
- * @param {number} totalSeconds - Total seconds.
- * @returns {string} Formatted time string.
- */
-function formatTime(totalSeconds) {
-    const minutes = Math.floor(totalSeconds / 60);
-    const seconds = Math.floor(totalSeconds % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-}
-
-/**
- * Updates the progress bar and time display.
- * @param {number} currentTime - Current elapsed time.
- */
-function updateProgress(currentTime) {
-    const duration = currentDuration;
-    if (duration > 0) {
-        const progressTime = Math.min(currentTime, duration);
-        const progressPercentage = (progressTime / duration) * 100;
-
-        elapsedTimeEl.textContent = formatTime(progressTime);
-        durationTimeEl.textContent = formatTime(duration);
-        progressBarEl.querySelector('div').style.width = `${progressPercentage}%`;
-    } else {
-        // Default display when no valid track info is available
-        elapsedTimeEl.textContent = '0:00';
-        durationTimeEl.textContent = '0:00';
-        progressBarEl.querySelector('div').style.width = '0%';
-    }
-}
-
-/**
- * Manages the progress timer loop.
- * StartTime is expected to be the lag-adjusted Unix timestamp in seconds.
- */
-function startProgressTimer(lagAdjustedStartTime, duration) {
-    if (intervalId) {
-        clearInterval(intervalId);
-    }
-
-    currentStartTime = lagAdjustedStartTime; // Lag already applied in updateNowPlayingInfo
-    currentDuration = duration;
-
-    // Initial update based on API time data
-    const initialElapsedApiTime = Math.floor((Date.now() / 1000) - currentStartTime);
-    updateProgress(initialElapsedApiTime);
-
-    const checkInterval = 1000; // Check every 1 second
-
-    intervalId = setInterval(() => {
-        // Calculate elapsed time from the lag-adjusted start time
-        const elapsedApiTime = Math.floor((Date.now() / 1000) - currentStartTime);
-
-        updateProgress(elapsedApiTime);
-
-        // Fetch new info if song duration exceeded
-        if (elapsedApiTime >= currentDuration) {
-            // 5 seconds after song finishes, check for new info
-            if (elapsedApiTime > currentDuration + 5) {
-                fetchNowPlayingInfo();
-            }
-        }
-
-    }, checkInterval);
-}
-
-/**
- * Stops the progress timer.
- */
-function stopProgressTimer() {
-    if (intervalId) {
-        clearInterval(intervalId);
-        intervalId = null;
-    }
-}
-
-/**
- * Sets up the Audio Context and Analyser node.
- */
-function setupAudioContextAndAnalyser() {
-    // IMPORTANT FIX: Only create AudioContext when a user gesture is detected (in playAudio)
-    if (!audioContext) {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    }
-
-    if (!analyser) {
-        analyser = audioContext.createAnalyser();
-        // FFT size set to 256 for time domain data
-        analyser.fftSize = 256;
-        dataArray = new Uint8Array(analyser.fftSize);
-    }
-}
-
-/**
- * Starts 15ms peak sampling for the waveform history.
- */
-function startPeakSampling() {
-    if (peakSamplingIntervalId) clearInterval(peakSamplingIntervalId);
-
-    // Initial fill history with zeros
-    waveformHistory = Array(TOTAL_BARS).fill(0);
-
-    peakSamplingIntervalId = setInterval(() => {
-        if (!analyser || !dataArray || !isPlaying || audioContext.state === 'suspended') {
-            stopPeakSampling();
-            return;
-        }
-
-        // Get time domain data (amplitude)
-        analyser.getByteTimeDomainData(dataArray);
-
-        let maxAmplitude = 0;
-
-        // Find the highest peak in the buffer
-        for (let j = 0; j < dataArray.length; j++) {
-            // Normalize data to -128 to 127 range and take absolute value
-            const amplitudeSample = Math.abs(dataArray[j] - 128);
-            if (amplitudeSample > maxAmplitude) {
-                maxAmplitude = amplitudeSample;
-            }
-        }
-
-        // Normalize the peak amplitude (maxAmplitude is 0-127)
-        const normalizedAmplitude = maxAmplitude / 128;
-
-        // Calculate half bar height (0.45 for margin)
-        const halfBarHeight = normalizedAmplitude * (VIS_H * 0.45);
-
-        // Shift array and add new bar (creates scrolling effect)
-        if (waveformHistory.length >= TOTAL_BARS) {
-            waveformHistory.shift();
-        }
-        waveformHistory.push(halfBarHeight);
-
-    }, WAVEFORM_UPDATE_INTERVAL); // 15ms
-}
-
-/**
- * Stops peak sampling.
- */
-function stopPeakSampling() {
-    if (peakSamplingIntervalId) {
-        clearInterval(peakSamplingIntervalId);
-        peakSamplingIntervalId = null;
-    }
-}
-
-/**
- * Draws the center dashed line on the canvas.
- * This function is used for the initial/paused state.
- */
-function drawCenterLine() {
-    // Clear canvas and draw dark background
-    canvasCtx.fillStyle = BACKGROUND_COLOR;
-    canvasCtx.fillRect(0, 0, VIS_W, VIS_H);
-
-    // Draw the thin center dashed line
-    canvasCtx.beginPath();
-    canvasCtx.strokeStyle = LINE_COLOR_CENTER;
-    canvasCtx.lineWidth = 0.5;
-
-    // Simulate dashed line
-    for (let dashX = 0; dashX < VIS_W; dashX += 4) {
-        canvasCtx.moveTo(dashX, CENTER_Y);
-        canvasCtx.lineTo(dashX + 2, CENTER_Y);
-    }
-    canvasCtx.stroke();
-}
-
-/**
- * Main visualizer drawing function (runs at 60 FPS for smooth scrolling).
- */
-function drawVisualizer() {
-    // Request next animation frame
-    animationFrameId = requestAnimationFrame(drawVisualizer);
-
-    if (!isPlaying) {
-        // Exit loop if playback is stopped
-        cancelAnimationFrame(animationFrameId);
-        return;
-    }
-
-    // Clear canvas and draw dark background
-    canvasCtx.fillStyle = BACKGROUND_COLOR;
-    canvasCtx.fillRect(0, 0, VIS_W, VIS_H);
-
-    // Set style for drawing bars
-    canvasCtx.strokeStyle = BAR_COLOR;
-    canvasCtx.lineWidth = BAR_WIDTH;
-
-    let x = 0; // Starting horizontal position
-
-    // Draw based on history array
-    for (let i = 0; i < waveformHistory.length; i++) {
-        const halfBarHeight = waveformHistory[i];
-
-        // Start drawing the bar
-        canvasCtx.beginPath();
-
-        const startY = CENTER_Y - halfBarHeight;
-        const endY = CENTER_Y + halfBarHeight;
-
-        canvasCtx.moveTo(x, startY);
-        canvasCtx.lineTo(x, endY);
-
-        canvasCtx.stroke();
-
-        x += STEP;
-    }
-
-    // Always draw the center line over the bars for visual anchor
-    canvasCtx.beginPath();
-    canvasCtx.strokeStyle = LINE_COLOR_CENTER;
-    canvasCtx.lineWidth = 0.5;
-
-    for (let dashX = 0; dashX < VIS_W; dashX += 4) {
-        canvasCtx.moveTo(dashX, CENTER_Y);
-        canvasCtx.lineTo(dashX + 2, CENTER_Y);
-    }
-    canvasCtx.stroke();
-}
-
-/**
- * Updates the Media Session metadata and action handlers for OS-level control.
- * @param {object} song - The song object (title, artist, art).
- * @param {object} station - The station object (name).
- */
-function updateMediaSession(song, station) {
-    if ('mediaSession' in navigator) {
-        const artworkUrl = song.art || `https://placehold.co/512/EEE/31343C?font=Vazirmatn&text=${station.name.replace(/\s/g, '+') || 'رادیو'}`;
-
-        navigator.mediaSession.metadata = new MediaMetadata({
-            title: song.title || 'عنوان نامشخص',
-            artist: song.artist || station.name,
-            album: station.name || 'رادیو بیپ تونز',
-            artwork: [
-                { src: artworkUrl, sizes: '512x512', type: 'image/jpeg' }
-            ]
-        });
-
-        // Set OS media controls (Play/Pause)
-        navigator.mediaSession.setActionHandler('play', () => {
-            if (audioContext && audioContext.state === 'suspended') {
-                audioContext.resume();
-            }
-            if (!isPlaying) togglePlayPause();
-        });
-        navigator.mediaSession.setActionHandler('pause', () => { if (isPlaying) togglePlayPause(); });
-
-        // Disable seek/skip handlers as this is a radio stream
-        navigator.mediaSession.setActionHandler('seekto', null);
-        navigator.mediaSession.setActionHandler('previoustrack', null);
-        navigator.mediaSession.setActionHandler('nexttrack', null);
-    }
-}
-
-/**
- * Clears the Media Session metadata.
- */
-function clearMediaSession() {
-    if ('mediaSession' in navigator) {
-        navigator.mediaSession.metadata = null;
-        navigator.mediaSession.setActionHandler('play', null);
-        navigator.mediaSession.setActionHandler('pause', null);
-    }
-}
-
-/**
- * Fetches data from the API.
- */
-async function fetchData() {
-    try {
-        const response = await fetch(API_BASE_URL);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return await response.json();
-    } catch (error) {
-        console.error("Error fetching API data:", error);
-        return null;
-    }
-}
-
-/**
- * Extracts available stations from the API response.
- */
-function extractStations(allStationsData) {
-    return allStationsData.map(stationData => {
-        const originalName = stationData.station.name;
-        const persianName = STATION_NAME_MAP[originalName] || originalName;
-
-        // Prioritize the direct listen_url, otherwise use the default mount URL
-        const listenUrl = stationData.station.listen_url || (stationData.station.mounts.find(m => m.is_default)?.url);
-
-        return {
-            name: persianName,
-            originalName: originalName,
-            shortcode: stationData.station.shortcode,
-            url: listenUrl
-        };
-    }).filter(s => s.url);
-}
-
-/**
- * Updates the now playing info on the UI by determining the correct track 
- * based on current time and stream latency buffer.
- */
-function updateNowPlayingInfo(data) {
-    if (!data || !data.now_playing || !data.station) {
-        // Fallback text in Persian
-        songTitle.textContent = 'اطلاعات در دسترس نیست';
-        artistName.textContent = 'لطفا ایستگاه را انتخاب کنید';
-        stationNameEl.textContent = data?.station?.name || 'Beeptunes Radio';
-        albumArt.src = `https://placehold.co/512/EEE/31343C?font=Vazirmatn&text=${(data?.station?.name || 'رادیو').replace(/\s/g, '+')}`;
-        stopProgressTimer();
-        clearMediaSession();
-        return;
-    }
-
-    const currentTimestampSec = Date.now() / 1000;
-    let trackData = data.now_playing;
-
-    // Calculate corrected start and end times for the 'now_playing' item
-    const nowStartTime = trackData.played_at + TIME_LAG_BUFFER; // Seconds
-    const nowEndTime = nowStartTime + trackData.duration; // Seconds
-
-    // --- Case 2: Previous Song (Date.now() < nowStartTime) ---
-    if (currentTimestampSec < nowStartTime) {
-        const lastHistory = data.song_history && data.song_history.length > 0 ? data.song_history[0] : null;
-        if (lastHistory) {
-            trackData = lastHistory;
-            // For history items, we need to re-calculate their lag-adjusted played_at
-            const historyStartTime = trackData.played_at + TIME_LAG_BUFFER;
-            const historyEndTime = historyStartTime + trackData.duration;
-
-            // If the history item is too old, still fall back to the now_playing item
-            if (currentTimestampSec > historyEndTime) {
-                trackData = data.now_playing;
-            } else {
-            }
-        } else {
-            console.error("API timing mismatch: current time is before now_playing start, but song_history is empty. Falling back to now_playing.");
-        }
-    }
-    // --- Case 3: Next Song (Date.now() > nowEndTime) ---
-    else if (currentTimestampSec >= nowEndTime && data.playing_next) {
-        trackData = data.playing_next;
-    }
-
-    // Determine playedAt (lag-adjusted) and duration for the selected track
-    // The correct played_at is now the only one stored in the final trackData
-    const playedAt = trackData.played_at + TIME_LAG_BUFFER;
-    const duration = trackData.duration;
-
-    const song = trackData.song;
-    const station = data.station;
-
-    // Update song title, artist, album art
-    songTitle.textContent = song.title || 'بدون عنوان';
-    artistName.textContent = song.artist || 'هنرمند ناشناس';
-    albumArt.src = song.art || `https://placehold.co/512/EEE/31343C?font=Vazirmatn&text=${station.name.replace(/\s/g, '+')}`;
-    stationNameEl.textContent = STATION_NAME_MAP[station.name] || station.name;
-
-    // Update Media Session for OS control
-    updateMediaSession(song, station);
-
-    // Start progress timer with the correct (lag-adjusted) playedAt timestamp
-    startProgressTimer(playedAt, duration);
-}
-
-/**
- * Fetches 'Now Playing' info for the current station.
- */
-async function fetchNowPlayingInfo() {
-    const allStationsData = await fetchData();
-    if (allStationsData && currentStationShortcode) {
-        const stationData = allStationsData.find(d => d.station.shortcode === currentStationShortcode);
-        if (stationData) {
-            updateNowPlayingInfo(stationData);
-        }
-    }
-}
-
-/**
- * Updates station button styles.
- */
-function updateStationButtons() {
-    document.querySelectorAll('.station-btn').forEach(btn => {
-        btn.classList.remove('active', 'bg-gray-600', 'text-white', 'border-[#58a6ff]');
-        btn.classList.add('bg-gray-700', 'text-gray-300', 'border-transparent');
-
-        if (btn.id === `station-btn-${currentStationShortcode}`) {
-            btn.classList.add('active', 'bg-gray-600', 'text-white', 'border-[#58a6ff]');
-            btn.classList.remove('bg-gray-700', 'text-gray-300');
-        }
-    });
-}
-
-/**
- * Switches the radio station.
- */
-function switchStation(shortcode) {
-    const newStation = availableStations.find(s => s.shortcode === shortcode);
-    if (!newStation) return;
-
-    // Stop audio if playing or station is changing
-    const wasPlaying = isPlaying;
-    if (isPlaying || currentStationShortcode !== shortcode) {
-        stopAudio();
-    }
-
-    currentStationShortcode = shortcode;
-    currentStreamUrl = newStation.url;
-
-    // Update playing info (will fetch the latest API data and adjust time)
-    fetchNowPlayingInfo();
-
-    // Activate new station button
-    updateStationButtons();
-
-    // If it was playing before the switch, resume playback
-    if (wasPlaying) {
-        // Must wait for currentStreamUrl to be set by fetchNowPlayingInfo (though it is set above)
-        // The main goal is to restart playback if the user clicked another station while playing
-        playAudio();
-    }
-}
-
-/**
- * Toggles play/pause state.
- */
-function togglePlayPause() {
-    if (isPlaying) {
-        stopAudio();
-    } else {
-        // If no station is selected, select the first one
-        if (!currentStationShortcode && availableStations.length > 0) {
-            const firstStation = availableStations[0];
-            currentStationShortcode = firstStation.shortcode;
-            currentStreamUrl = firstStation.url;
-            fetchNowPlayingInfo(); // Fetch and update info for the selected station
-            updateStationButtons();
-        }
-        if (currentStreamUrl) {
-            playAudio();
-        }
-    }
-}
-
-/**
- * Starts audio stream playback and connects Web Audio API.
- */
-async function playAudio() {
-    if (!currentStreamUrl) return;
-
-    loadingSpinner.style.display = 'block';
-
-    // 1. Setup Audio Context and Analyser (must happen inside user gesture)
-    setupAudioContextAndAnalyser();
-
-    // Create Audio object and Source Node if not already created
-    if (!audioSource) {
-        audioSource = new Audio();
-        audioSource.crossOrigin = 'anonymous'; // Required for audio analysis
-        audioSource.preload = 'none';
-
-        // Create sourceNode and connect to graph only once
-        sourceNode = audioContext.createMediaElementSource(audioSource);
-        sourceNode.connect(analyser); // Connect to Analyser
-        analyser.connect(audioContext.destination); // Connect Analyser to output
-
-        audioSource.addEventListener('canplay', () => {
-            loadingSpinner.style.display = 'none';
-        });
-
-        audioSource.addEventListener('error', (e) => {
-            console.error("Audio error:", e);
-            songTitle.textContent = 'خطا در پخش استریم'; // Persian error message
-            loadingSpinner.style.display = 'none';
-            stopAudio();
-        });
-    }
-
-    // Set stream URL and start playback
-    audioSource.src = currentStreamUrl;
-    audioSource.load(); // Ensure the element reloads the new stream
-
-    // Resume AudioContext if suspended (browser restriction)
-    if (audioContext.state === 'suspended') {
-        try {
-            await audioContext.resume();
-        } catch (e) {
-            console.error("AudioContext resume failed:", e);
-            loadingSpinner.style.display = 'none';
-            songTitle.textContent = 'خطا در راه‌اندازی صدا';
-            return; // Stop if context can't resume
-        }
-    }
-
-    try {
-        await audioSource.play();
-        isPlaying = true;
-
-        // Update icon
-        playIcon.style.display = 'none';
-        pauseIcon.style.display = 'block';
-
-        // Start peak sampling
-        startPeakSampling();
-
-        // Start visualizer drawing loop
-        drawVisualizer();
-
-    } catch (error) {
-        console.error("Error attempting to play audio:", error);
-        songTitle.textContent = 'خطا در پخش (نیاز به تعامل کاربر)';
-        loadingSpinner.style.display = 'none';
-        isPlaying = false;
-        playIcon.style.display = 'block';
-        pauseIcon.style.display = 'none';
-    }
-}
-
-/**
- * Stops audio stream playback.
- */
-function stopAudio() {
-    if (audioSource) {
-        audioSource.pause();
-    }
-    isPlaying = false;
-
-    // Clear Media Session info on stop
-    clearMediaSession();
-
-    // Stop peak sampling
-    stopPeakSampling();
-
-    // Stop visualizer animation
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
-        animationFrameId = null;
-    }
-
-    // Redraw canvas with only the center line (paused state)
-    drawCenterLine();
-
-    // Stop progress timer
-    stopProgressTimer();
-
-    // Update icon
-    playIcon.style.display = 'block';
-    pauseIcon.style.display = 'none';
-    loadingSpinner.style.display = 'none';
-}
-
-/**
- * Creates station buttons based on the available list.
- */
-function createStationButtons() {
-    stationsPlaceholder.style.display = 'none';
-    stationsContainer.innerHTML = '';
-
-    availableStations.forEach(station => {
-        const button = document.createElement('button');
-        button.id = `station-btn-${station.shortcode}`;
-        button.textContent = station.name;
-        // Tailwind classes for styling
-        button.className = 'station-btn bg-gray-700 text-gray-300 px-4 py-2 rounded-lg text-sm font-medium hover:bg-gray-600 transition duration-150 ease-in-out whitespace-nowrap border border-transparent';
-        button.addEventListener('click', () => switchStation(station.shortcode));
-
-        stationsContainer.appendChild(button);
-    });
-
-    if (availableStations.length > 0) {
-        // Automatically select the first station, but don't start playing
-        const firstStation = availableStations[0];
-        currentStationShortcode = firstStation.shortcode;
-        currentStreamUrl = firstStation.url;
-        // Initial fetch for the first station
-        fetchNowPlayingInfo();
-        updateStationButtons();
-    } else {
-        stationsPlaceholder.style.display = 'block';
-        stationsPlaceholder.textContent = 'هیچ ایستگاهی پیدا نشد.'; // Persian text
-    }
-}
-
-// --- Event Listeners ---
-playPauseBtn.addEventListener('click', togglePlayPause);
-
-// --- Main Initialization Function ---
-async function init() {
-    // Open album art in new tab on click
-    albumArt.addEventListener("click", () => { let e = albumArt.src; e && !e.includes("placehold.co") && window.open(e, "_blank") });
-
-    stationsPlaceholder.style.display = 'block';
-    stationsPlaceholder.textContent = 'در حال بارگذاری ایستگاه‌ها...';
-
-    // Initial draw of the center line (without AudioContext dependency)
-    drawCenterLine();
-
-    const allStationsData = await fetchData();
-
-    if (allStationsData && Array.isArray(allStationsData)) {
-        availableStations = extractStations(allStationsData);
-        createStationButtons();
-
-        // Set up interval for refreshing track info every 10 seconds
-        setInterval(fetchNowPlayingInfo, 10000);
-
-    } else {
-        songTitle.textContent = 'اتصال به API برقرار نشد.'; // Persian error message
-        artistName.textContent = '';
-        stationsPlaceholder.textContent = 'خطا در بارگذاری اطلاعات ایستگاه‌ها.'; // Persian error message
-    }
-}
-
-// Start the app after DOM is fully loaded
+// The mock server (dev/mock-server.js) overrides the server via window.BEEP_API_SERVER
+// (stream, now playing and latency constants live in player-core.js)
+const API_SERVER = window.BEEP_API_SERVER ?? 'https://radio.beeptunes.com';
+
+// --- Volume Settings ---
+const DEFAULT_VOLUME = 0.8;
+const VOLUME_RAMP_TIME = 0.05; // Gain ramp length in seconds (avoids clicks)
+
+// --- Sleep Timer Settings ---
+const DEFAULT_SLEEP_FADE = 30; // Fade-out window in seconds before the sleep timer stops playback
+const DEFAULT_CROSSFADE = 3; // Crossfade between stations in seconds (0 = switch directly)
+const MAX_CROSSFADE = 15;
+const CROSSFADE_CURVE_STEPS = 64; // Points of the equal-power fade curves
+
+// --- Listening Statistics Settings ---
+const STATS_HEARTBEAT_INTERVAL = 30000; // Save the running session's end time this often, so a closed tab loses little (ms)
+const STATS_DEFAULT_RANGE_DAYS = 30;
+const STATS_TOP_COUNT = 5;
+const STATS_HOUR_LABELS = [0, 6, 12, 18, 23]; // Hours labelled under the hour-of-day chart
+
+// --- Stream Recording Settings ---
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']; // In order of preference
+const RECORDING_TIMESLICE = 1000; // Collect recorded data every second (ms)
+const RECORDING_MAX_BYTES = 200 * 1024 * 1024; // Stop a recording session after 200 MB
+const RECORDING_MAX_DURATION = 2 * 60 * 60 * 1000; // Stop a recording session after 2 hours (ms)
+
+// --- Equalizer / Normalizer Settings ---
+const EQ_BANDS = [
+    { frequency: 60, type: 'lowshelf', label: '60' },
+    { frequency: 170, type: 'peaking', label: '170' },
+    { frequency: 350, type: 'peaking', label: '350' },
+    { frequency: 1000, type: 'peaking', label: '1k' },
+    { frequency: 3500, type: 'peaking', label: '3.5k' },
+    { frequency: 10000, type: 'highshelf', label: '10k' }
+];
+const EQ_MAX_GAIN = 12; // Slider range in dB (+/-)
+const EQ_PRESETS = {
+    flat: { labelKey: 'eq.flat', gains: [0, 0, 0, 0, 0, 0] },
+    bassBoost: { labelKey: 'eq.bassBoost', gains: [6, 4, 2, 0, 0, 0] },
+    vocal: { labelKey: 'eq.vocal', gains: [-2, -1, 1, 4, 3, 0] },
+    night: { labelKey: 'eq.night', gains: [-4, -2, 0, 1, 1, -3] }
+};
+const NORMALIZER_MAKEUP_GAIN = 1.6; // Makeup gain after the compressor (about +4 dB)
+
+// --- Settings Storage (localStorage keys) ---
+const STORAGE_KEYS = {
+    latencyOverrides: 'beep.latencyOverrides',
+    serverDelays: 'beep.serverDelays',
+    volume: 'beep.volume',
+    muted: 'beep.muted',
+    visualizerMode: 'beep.visualizerMode',
+    sleepFade: 'beep.sleepFade',
+    crossfade: 'beep.crossfade',
+    streamPreferences: 'beep.streamPreferences',
+    audioProfiles: 'beep.audioProfiles',
+    lastStation: 'beep.lastStation',
+    locale: 'beep.locale',
+    notifications: 'beep.notifications',
+    stationSort: 'beep.stationSort',
+    apiServers: 'beep.apiServers'
+};
+
+// --- Deep Link Parameters (?station=<shortcode>&autoplay=1, or #station=<shortcode>) ---
+const STATION_URL_PARAM = 'station';
+const AUTOPLAY_URL_PARAM = 'autoplay';
+
+// --- Media Session Settings ---
+const MEDIA_ARTWORK_SIZES = [96, 128, 192, 256, 384, 512]; // Lock screens and watches pick the closest size
+
+// --- Song Request Settings ---
+const REQUEST_SEARCH_DELAY = 300; // Wait for typing to pause before searching (ms)
+
+// --- Notification Settings ---
+const NOTIFICATION_TAG = 'beep-now-playing'; // Each track notification replaces the previous one
+
+// --- Offline / Service Worker Settings ---
+const SERVICE_WORKER_URL = './sw.js';
+const OFFLINE_RETRY_INTERVAL = 10000; // Connectivity check interval while the offline screen is shown (ms)
+
+// --- DOM Elements ---
+const playPauseBtn = document.getElementById('play-pause-btn');
+const playIcon = document.getElementById('play-icon');
+const pauseIcon = document.getElementById('pause-icon');
+const volumeSlider = document.getElementById('volume-slider');
+const muteBtn = document.getElementById('mute-btn');
+const volumeIcon = document.getElementById('volume-icon');
+const mutedIcon = document.getElementById('muted-icon');
+const albumArt = document.getElementById('album-art');
+const songTitle = document.getElementById('song-title');
+const artistName = document.getElementById('artist-name');
+const stationNameEl = document.getElementById('station-name');
+const stationsContainer = document.getElementById('stations-container');
+const stationSearchInput = document.getElementById('station-search');
+const stationSortSelect = document.getElementById('station-sort');
+const stationsNoMatch = document.getElementById('stations-no-match');
+const loadingSpinner = document.getElementById('loading-spinner');
+const reconnectOverlay = document.getElementById('reconnect-overlay');
+const reconnectStatus = document.getElementById('reconnect-status');
+const stationsPlaceholder = document.getElementById('stations-placeholder');
+const qualitySelect = document.getElementById('quality-select');
+const qualityStatus = document.getElementById('quality-status');
+const languageSelect = document.getElementById('language-select');
+
+// --- Accessibility Elements ---
+const liveAnnouncer = document.getElementById('live-announcer');
+const openShortcutsBtn = document.getElementById('open-shortcuts-btn');
+const closeShortcutsBtn = document.getElementById('close-shortcuts-btn');
+const shortcutsPanel = document.getElementById('shortcuts-panel');
+
+// --- Offline Screen / Update Elements ---
+const offlineScreen = document.getElementById('offline-screen');
+const remotePlaybackEl = document.getElementById('remote-playback');
+const remotePlaybackText = document.getElementById('remote-playback-text');
+const remoteStopBtn = document.getElementById('remote-stop-btn');
+const offlineStatus = document.getElementById('offline-status');
+const offlineRetryBtn = document.getElementById('offline-retry-btn');
+const updateBanner = document.getElementById('update-banner');
+const updateReloadBtn = document.getElementById('update-reload-btn');
+
+// --- Liked Songs Elements ---
+const likeBtn = document.getElementById('like-btn');
+const openLibraryBtn = document.getElementById('open-library-btn');
+const libraryPanel = document.getElementById('library-panel');
+const closeLibraryBtn = document.getElementById('close-library-btn');
+const librarySearchInput = document.getElementById('library-search');
+const libraryList = document.getElementById('library-list');
+const exportCsvBtn = document.getElementById('export-csv-btn');
+const exportJsonBtn = document.getElementById('export-json-btn');
+const importLibraryInput = document.getElementById('import-library-input');
+
+// --- Listening Statistics Elements ---
+const openStatsBtn = document.getElementById('open-stats-btn');
+const statsPanel = document.getElementById('stats-panel');
+const closeStatsBtn = document.getElementById('close-stats-btn');
+const statsFromInput = document.getElementById('stats-from');
+const statsToInput = document.getElementById('stats-to');
+const statsTotalEl = document.getElementById('stats-total');
+const statsStationsList = document.getElementById('stats-stations');
+const statsHoursEl = document.getElementById('stats-hours');
+const statsHourLabelsEl = document.getElementById('stats-hour-labels');
+const statsArtistsList = document.getElementById('stats-artists');
+const statsTracksList = document.getElementById('stats-tracks');
+const clearStatsBtn = document.getElementById('clear-stats-btn');
+
+// --- Song Request Elements ---
+const openRequestsBtn = document.getElementById('open-requests-btn');
+const requestsPanel = document.getElementById('requests-panel');
+const closeRequestsBtn = document.getElementById('close-requests-btn');
+const requestsStationEl = document.getElementById('requests-station');
+const requestsSearchInput = document.getElementById('requests-search');
+const requestsStatus = document.getElementById('requests-status');
+const requestsList = document.getElementById('requests-list');
+const requestsPrevBtn = document.getElementById('requests-prev-btn');
+const requestsNextBtn = document.getElementById('requests-next-btn');
+const requestsPageEl = document.getElementById('requests-page');
+
+// --- Recording Elements ---
+const recordBtn = document.getElementById('record-btn');
+const recordingStatus = document.getElementById('recording-status');
+const recordingsList = document.getElementById('recordings-list');
+
+// --- Recently Played / Up Next Elements ---
+const upNextCard = document.getElementById('up-next-card');
+const historyList = document.getElementById('history-list');
+
+// --- Time and Visualizer Elements ---
+const elapsedTimeEl = document.getElementById('elapsed-time');
+const durationTimeEl = document.getElementById('duration-time');
+const progressBarEl = document.getElementById('progress-bar');
+const visualizerCanvas = document.getElementById('audio-visualizer');
+const canvasCtx = visualizerCanvas.getContext('2d');
+const visualizerModeBtn = document.getElementById('visualizer-mode-btn');
+
+// --- Settings Elements ---
+const latencyOverrideInput = document.getElementById('latency-override-input');
+const latencyEstimateEl = document.getElementById('latency-estimate');
+const sleepFadeInput = document.getElementById('sleep-fade-input');
+const crossfadeInput = document.getElementById('crossfade-input');
+
+// --- AzuraCast Server Elements ---
+const serversList = document.getElementById('servers-list');
+const addServerForm = document.getElementById('add-server-form');
+const serverUrlInput = document.getElementById('server-url-input');
+const addServerBtn = document.getElementById('add-server-btn');
+const serversStatus = document.getElementById('servers-status');
+const exportServersBtn = document.getElementById('export-servers-btn');
+const importServersInput = document.getElementById('import-servers-input');
+
+// --- Notification Elements ---
+const notificationsToggle = document.getElementById('notifications-toggle');
+const notificationsStatus = document.getElementById('notifications-status');
+const notificationStationsFieldset = document.getElementById('notification-stations-fieldset');
+const notificationStationsList = document.getElementById('notification-stations');
+
+// --- Equalizer Elements ---
+const eqPresetSelect = document.getElementById('eq-preset-select');
+const eqBandsContainer = document.getElementById('eq-bands');
+const normalizeToggle = document.getElementById('normalize-toggle');
+
+// --- Sleep Timer Elements ---
+const sleepTimerSelect = document.getElementById('sleep-timer-select');
+const sleepCustomInput = document.getElementById('sleep-custom-minutes');
+const sleepTimerStatus = document.getElementById('sleep-timer-status');
+
+// --- Global Playback Variables ---
+let audioSource = null; // Audio element being heard (the audio output's current deck)
+let currentStationShortcode = null; // Mirrors the player core's station (for per-station UI settings)
+let downgradedStream = null; // Stream auto quality fell back to after repeated buffering (until the next stream change)
+let currentSong = null; // Song object of the track being heard (from renderNowPlaying)
+let currentStation = null; // Station object of the current now playing data
+let lastNowPlaying = null; // Last 'nowplaying' event (re-rendered on language change)
+let focusBeforeShortcuts = null; // Element to refocus when the shortcuts help closes
+
+// --- Offline State ---
+let stationsLoaded = false; // False until the station list has been loaded (from the API or the service worker cache)
+let offlineRetryIntervalId = null;
+let isCheckingConnection = false;
+let resumeAfterOffline = false; // Restart playback once the connection is back
+let waitingServiceWorker = null; // Installed update waiting for the user to reload
+let isReloadingForUpdate = false;
+
+// --- Visualizer Variables (Web Audio API) ---
+let animationFrameId = null;
+let audioContext = null;
+let analyser = null;
+let gainNode = null; // Output volume stage (after the analyser, so the visualizer sees the pre-gain signal)
+let eqFilters = []; // BiquadFilter per EQ band, chained after the analyser
+let compressorNode = null; // Loudness normalizer (optional stage before the volume)
+let makeupGainNode = null;
+
+// --- Equalizer State ---
+let audioProfiles = loadSetting(STORAGE_KEYS.audioProfiles, {}); // { preset, gains, normalize } per station shortcode
+
+// --- Notification State ---
+let notificationSettings = loadSetting(STORAGE_KEYS.notifications, { enabled: false, mutedStations: [] }); // mutedStations: shortcodes that don't notify
+let lastNotifiedKey = null; // Station + song key of the last notification (the periodic refresh repeats tracks)
+
+// --- Listening Statistics State ---
+let listeningSession = null; // { record, lastTrackKey } while playing (record is saved in the library)
+let listeningHeartbeatId = null;
+
+// --- Song Request State ---
+let requestsPage = 1;
+let requestsTotalPages = 1;
+let requestsSearchTimeoutId = null;
+let requestsLoadId = 0; // Ignores responses of superseded page/search loads
+
+// --- Volume State ---
+let volume = loadSetting(STORAGE_KEYS.volume, DEFAULT_VOLUME);
+let isMuted = loadSetting(STORAGE_KEYS.muted, false);
+
+// --- Recording State ---
+let recordDestination = null; // MediaStreamDestination tapped from the analyser (pre-gain)
+let mediaRecorder = null; // Recorder of the current track's file
+let isRecording = false;
+let recordingSessionStartedAt = 0;
+let recordingSessionBytes = 0;
+let recordingStatusIntervalId = null;
+let recordings = []; // Finished files: { name, url, size, duration }
+
+// --- Sleep Timer State ---
+let sleepTimerEndAt = null; // ms timestamp when playback stops
+let sleepTimerIntervalId = null;
+let isSleepFading = false;
+let isMediaSessionCleared = false; // True after the sleep timer stopped playback, until it plays again
+let sleepFadeSeconds = loadSetting(STORAGE_KEYS.sleepFade, DEFAULT_SLEEP_FADE);
+let crossfadeSeconds = loadSetting(STORAGE_KEYS.crossfade, DEFAULT_CROSSFADE);
+
+// --- AzuraCast Server State ---
+// Servers added in the settings (API_SERVER is always the primary one)
+let extraServers = loadSetting(STORAGE_KEYS.apiServers, [])
+    .map(normalizeServerUrl)
+    .filter((server, i, servers) => server && server !== API_SERVER && servers.indexOf(server) === i);
+
+// --- Waveform Sampling Control ---
+let peakSamplingIntervalId = null;
+const WAVEFORM_UPDATE_INTERVAL = 15; // 15ms sampling interval for high reactivity
+let waveformHistory = []; // Array to hold historical bar heights
+
+// --- Waveform Drawing Setup ---
+// Drawing sizes are in CSS pixels; resizeVisualizer() scales the backing store for high-DPI screens
+let visWidth = visualizerCanvas.width;
+let visHeight = visualizerCanvas.height;
+let centerY = visHeight / 2;
+
+// Styles and Colors
+const BAR_COLOR = '#a7f3d0'; // Neon green color
+const LINE_COLOR_CENTER = '#a7f3d0'; // Set to be the exact same as BAR_COLOR (user request)
+const BACKGROUND_COLOR = '#111827'; // Internal Canvas background color
+
+// Bar Geometry
+const BAR_WIDTH = 2; // Width of each bar
+const BAR_SPACING = 1; // Spacing between bars
+const STEP = BAR_WIDTH + BAR_SPACING;
+let totalBars = Math.floor(visWidth / STEP); // Total drawable bars (depends on canvas width)
+let dataArray = null; // Time domain data array
+let frequencyData = null; // Frequency domain data array (spectrum and radial modes)
+
+// Spectrum / Radial Geometry
+const SPECTRUM_BIN_RATIO = 0.7; // Upper bins are mostly empty for music, skip them
+const RADIAL_INNER_RATIO = 0.5; // Inner circle radius relative to the available radius
+
+let visualizerMode = loadSetting(STORAGE_KEYS.visualizerMode, 'history');
+
+// --- Helper Functions ---
+
+/**
+ * Converts seconds to MM:SS format (with the locale's numerals).
+ * @param {number} totalSeconds - Total seconds.
+ * @returns {string} Formatted time string.
+ */
+function formatTime(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+    return `${formatNumber(minutes)}:${formatNumber(seconds, { minimumIntegerDigits: 2 })}`;
+}
+
+/**
+ * Converts a lag-adjusted Unix timestamp (seconds) to local HH:MM.
+ * @param {number} timestampSec - Unix timestamp in seconds.
+ * @returns {string} Local clock time string.
+ */
+function formatClockTime(timestampSec) {
+    return formatDateTime(timestampSec * 1000, { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Formats a size in bytes as megabytes with one decimal.
+ */
+function formatMegabytes(bytes) {
+    return formatNumber(bytes / 1048576, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+/**
+ * Updates the progress bar and time display.
+ * @param {number} currentTime - Current elapsed time.
+ * @param {number} duration - Track duration.
+ */
+function updateProgress(currentTime, duration) {
+    if (duration > 0) {
+        const progressTime = Math.min(currentTime, duration);
+        const progressPercentage = (progressTime / duration) * 100;
+
+        elapsedTimeEl.textContent = formatTime(progressTime);
+        durationTimeEl.textContent = formatTime(duration);
+        progressBarEl.querySelector('div').style.width = `${progressPercentage}%`;
+    } else {
+        // Default display when no valid track info is available
+        elapsedTimeEl.textContent = formatTime(0);
+        durationTimeEl.textContent = formatTime(0);
+        progressBarEl.querySelector('div').style.width = '0%';
+    }
+}
+
+/**
+ * Reads a JSON value from localStorage.
+ * @param {string} key - Storage key.
+ * @param {*} fallback - Returned when the key is missing or unreadable.
+ */
+function loadSetting(key, fallback) {
+    try {
+        const value = localStorage.getItem(key);
+        return value === null ? fallback : JSON.parse(value);
+    } catch (error) {
+        console.error(`Error reading setting ${key}:`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Writes a JSON value to localStorage.
+ * @param {string} key - Storage key.
+ * @param {*} value - Any JSON-serializable value.
+ */
+function saveSetting(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.error(`Error saving setting ${key}:`, error);
+    }
+}
+
+/**
+ * Shows the current station's latency estimate and override in the settings panel.
+ */
+function updateLatencySettings() {
+    const { override } = playerCore.getLatencyInfo(currentStationShortcode);
+    latencyOverrideInput.value = override === undefined ? '' : override;
+    updateLatencyEstimateText();
+}
+
+/**
+ * Updates the latency estimate text in the settings panel.
+ */
+function updateLatencyEstimateText() {
+    const info = playerCore.getLatencyInfo(currentStationShortcode);
+    latencyEstimateEl.textContent = t('latency.estimate', { seconds: formatNumber(Math.round(info.seconds)), source: t(`latency.${info.source}`) });
+}
+
+/**
+ * Saves the manual latency override for the current station (empty input = automatic).
+ */
+function handleLatencyOverrideChange() {
+    if (!currentStationShortcode) return;
+
+    const value = parseFloat(latencyOverrideInput.value);
+    if (Number.isFinite(value) && value >= 0) {
+        playerCore.setLatencyOverride(currentStationShortcode, value);
+    } else {
+        playerCore.setLatencyOverride(currentStationShortcode, null);
+        latencyOverrideInput.value = '';
+    }
+    updateLatencyEstimateText();
+}
+
+/**
+ * Sets up the Audio Context and Analyser node.
+ */
+function setupAudioContextAndAnalyser() {
+    // IMPORTANT FIX: Only create AudioContext when a user gesture is detected (in the audio output's play)
+    if (!audioContext) {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+
+    if (!analyser) {
+        analyser = audioContext.createAnalyser();
+        // FFT size set to 256 for time domain data
+        analyser.fftSize = 256;
+        dataArray = new Uint8Array(analyser.fftSize);
+        frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    }
+
+    if (!gainNode) {
+        gainNode = audioContext.createGain();
+        gainNode.gain.value = isMuted ? 0 : volume;
+    }
+
+    if (eqFilters.length === 0) {
+        const profile = getAudioProfile(currentStationShortcode);
+        eqFilters = EQ_BANDS.map((band, i) => {
+            const filter = audioContext.createBiquadFilter();
+            filter.type = band.type;
+            filter.frequency.value = band.frequency;
+            filter.Q.value = 1;
+            filter.gain.value = profile.gains[i];
+            return filter;
+        });
+        // analyser -> band 1 -> ... -> band N
+        analyser.connect(eqFilters[0]);
+        for (let i = 1; i < eqFilters.length; i++) {
+            eqFilters[i - 1].connect(eqFilters[i]);
+        }
+
+        compressorNode = audioContext.createDynamicsCompressor();
+        compressorNode.threshold.value = -24;
+        compressorNode.knee.value = 30;
+        compressorNode.ratio.value = 4;
+        compressorNode.attack.value = 0.003;
+        compressorNode.release.value = 0.25;
+
+        makeupGainNode = audioContext.createGain();
+        makeupGainNode.gain.value = NORMALIZER_MAKEUP_GAIN;
+        compressorNode.connect(makeupGainNode);
+        makeupGainNode.connect(gainNode);
+
+        connectNormalizer(profile.normalize);
+    }
+}
+
+/**
+ * Routes the last EQ band through the normalizer (compressor + makeup gain) or straight to the volume stage.
+ * @param {boolean} enabled - Whether loudness normalization is on.
+ */
+function connectNormalizer(enabled) {
+    const lastFilter = eqFilters[eqFilters.length - 1];
+    if (!lastFilter) return;
+
+    lastFilter.disconnect();
+    lastFilter.connect(enabled ? compressorNode : gainNode);
+}
+
+/**
+ * Returns the saved EQ/normalizer profile of a station (flat, no normalizer by default).
+ */
+function getAudioProfile(shortcode) {
+    const profile = audioProfiles[shortcode];
+    if (profile && Array.isArray(profile.gains) && profile.gains.length === EQ_BANDS.length) {
+        return profile;
+    }
+    return { preset: 'flat', gains: [...EQ_PRESETS.flat.gains], normalize: false };
+}
+
+/**
+ * Saves a station's profile and applies it.
+ */
+function saveAudioProfile(shortcode, profile) {
+    if (!shortcode) return;
+    audioProfiles[shortcode] = profile;
+    saveSetting(STORAGE_KEYS.audioProfiles, audioProfiles);
+    applyAudioProfile();
+}
+
+/**
+ * Applies the current station's EQ/normalizer profile to the graph (smoothly) and the controls.
+ */
+function applyAudioProfile() {
+    const profile = getAudioProfile(currentStationShortcode);
+
+    if (eqFilters.length > 0) {
+        const now = audioContext.currentTime;
+        eqFilters.forEach((filter, i) => {
+            filter.gain.setTargetAtTime(profile.gains[i], now, VOLUME_RAMP_TIME);
+        });
+        connectNormalizer(profile.normalize);
+    }
+
+    eqPresetSelect.value = profile.preset;
+    normalizeToggle.checked = profile.normalize;
+    eqBandsContainer.querySelectorAll('input').forEach((slider, i) => {
+        slider.value = profile.gains[i];
+    });
+}
+
+/**
+ * Builds the EQ preset options and one vertical slider per band.
+ */
+function createEqualizerControls() {
+    Object.entries(EQ_PRESETS).forEach(([key, preset]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.dataset.i18n = preset.labelKey;
+        option.textContent = t(preset.labelKey);
+        eqPresetSelect.appendChild(option);
+    });
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.dataset.i18n = 'eq.custom';
+    customOption.textContent = t('eq.custom');
+    eqPresetSelect.appendChild(customOption);
+
+    EQ_BANDS.forEach((band, i) => {
+        const column = document.createElement('label');
+        column.className = 'eq-band';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = -EQ_MAX_GAIN;
+        slider.max = EQ_MAX_GAIN;
+        slider.step = 1;
+        slider.value = 0;
+        slider.className = 'eq-slider';
+        slider.setAttribute('aria-label', `${band.label} Hz`);
+        slider.addEventListener('input', () => {
+            const profile = getAudioProfile(currentStationShortcode);
+            const gains = [...profile.gains];
+            gains[i] = Number(slider.value);
+            saveAudioProfile(currentStationShortcode, { ...profile, preset: 'custom', gains });
+        });
+
+        const caption = document.createElement('span');
+        caption.textContent = band.label;
+
+        column.append(slider, caption);
+        eqBandsContainer.appendChild(column);
+    });
+}
+
+/**
+ * Applies the selected EQ preset to the current station.
+ */
+function handleEqPresetChange() {
+    const preset = EQ_PRESETS[eqPresetSelect.value];
+    if (!preset) return; // 'custom' only reflects slider edits
+    const profile = getAudioProfile(currentStationShortcode);
+    saveAudioProfile(currentStationShortcode, { ...profile, preset: eqPresetSelect.value, gains: [...preset.gains] });
+}
+
+/**
+ * Turns loudness normalization on/off for the current station.
+ */
+function handleNormalizeToggle() {
+    const profile = getAudioProfile(currentStationShortcode);
+    saveAudioProfile(currentStationShortcode, { ...profile, normalize: normalizeToggle.checked });
+}
+
+/**
+ * Ramps the output gain to the current volume/mute state.
+ */
+function applyVolume() {
+    if (!gainNode) return;
+
+    const target = isMuted ? 0 : volume;
+    const now = audioContext.currentTime;
+    gainNode.gain.cancelScheduledValues(now);
+    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+    gainNode.gain.linearRampToValueAtTime(target, now + VOLUME_RAMP_TIME);
+}
+
+/**
+ * Sets the volume (0-1), persists it and unmutes.
+ * @param {number} value - New volume level.
+ */
+function setVolume(value) {
+    volume = Math.min(1, Math.max(0, value));
+    isMuted = false;
+    saveSetting(STORAGE_KEYS.volume, volume);
+    saveSetting(STORAGE_KEYS.muted, isMuted);
+    applyVolume();
+    updateVolumeControls();
+}
+
+/**
+ * Toggles mute and persists the state.
+ */
+function toggleMute() {
+    isMuted = !isMuted;
+    saveSetting(STORAGE_KEYS.muted, isMuted);
+    applyVolume();
+    updateVolumeControls();
+}
+
+/**
+ * Syncs the volume slider and mute icon with the current state.
+ */
+function updateVolumeControls() {
+    volumeSlider.value = isMuted ? 0 : volume;
+    volumeIcon.style.display = isMuted || volume === 0 ? 'none' : 'block';
+    mutedIcon.style.display = isMuted || volume === 0 ? 'block' : 'none';
+    muteBtn.setAttribute('aria-pressed', String(isMuted));
+}
+
+/**
+ * Starts the sleep timer.
+ * @param {number} endAt - ms timestamp when playback should have faded out and stopped.
+ */
+function startSleepTimer(endAt) {
+    cancelSleepTimer();
+    sleepTimerEndAt = endAt;
+    updateSleepTimer();
+    sleepTimerIntervalId = setInterval(updateSleepTimer, 1000);
+}
+
+/**
+ * Sleep timer tick: updates the countdown, starts the fade and stops playback at the end.
+ */
+function updateSleepTimer() {
+    const remainingSec = Math.max(0, (sleepTimerEndAt - Date.now()) / 1000);
+    sleepTimerStatus.textContent = formatTime(remainingSec);
+
+    if (remainingSec <= 0) {
+        // Take the track off the lock screen too (new tracks stay off until playback starts again)
+        isMediaSessionCleared = true;
+        playerCore.stop();
+        cancelSleepTimer();
+        clearMediaSession();
+        return;
+    }
+
+    if (!isSleepFading && playerCore.isPlaying() && remainingSec <= sleepFadeSeconds) {
+        fadeOutForSleep(remainingSec);
+    }
+}
+
+/**
+ * Ramps the output gain down to silence over the remaining time.
+ * @param {number} durationSec - Fade length in seconds.
+ */
+function fadeOutForSleep(durationSec) {
+    isSleepFading = true;
+    if (!gainNode) return;
+
+    const now = audioContext.currentTime;
+    gainNode.gain.cancelScheduledValues(now);
+    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+    gainNode.gain.linearRampToValueAtTime(0, now + durationSec);
+}
+
+/**
+ * Cancels the sleep timer and restores the volume if a fade was running.
+ */
+function cancelSleepTimer() {
+    if (sleepTimerIntervalId) {
+        clearInterval(sleepTimerIntervalId);
+        sleepTimerIntervalId = null;
+    }
+    sleepTimerEndAt = null;
+    sleepTimerSelect.value = 'off';
+    sleepCustomInput.style.display = 'none';
+    sleepTimerStatus.textContent = '';
+
+    if (isSleepFading) {
+        isSleepFading = false;
+        applyVolume();
+    }
+}
+
+/**
+ * Handles the sleep timer preset selection.
+ * Presets are minutes; 'track' ends with the current track (lag-adjusted), 'custom' uses the minutes input.
+ */
+function handleSleepTimerChange() {
+    const choice = sleepTimerSelect.value;
+    sleepCustomInput.style.display = choice === 'custom' ? 'inline-block' : 'none';
+
+    if (choice === 'off') {
+        cancelSleepTimer();
+    } else if (choice === 'track') {
+        const { startTime, duration } = playerCore.getTrackTiming();
+        if (duration > 0) {
+            startSleepTimer((startTime + duration) * 1000);
+            sleepTimerSelect.value = 'track';
+        } else {
+            cancelSleepTimer();
+        }
+    } else if (choice === 'custom') {
+        sleepCustomInput.focus();
+    } else {
+        startSleepTimer(Date.now() + Number(choice) * 60000);
+        sleepTimerSelect.value = choice;
+    }
+}
+
+/**
+ * Starts the sleep timer from the custom minutes input.
+ */
+function handleSleepCustomChange() {
+    const minutes = parseFloat(sleepCustomInput.value);
+    if (Number.isFinite(minutes) && minutes > 0) {
+        startSleepTimer(Date.now() + minutes * 60000);
+        sleepTimerSelect.value = 'custom';
+        sleepCustomInput.style.display = 'inline-block';
+    }
+}
+
+/**
+ * Saves the sleep fade window from the settings panel.
+ */
+function handleSleepFadeChange() {
+    const seconds = parseFloat(sleepFadeInput.value);
+    sleepFadeSeconds = Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_SLEEP_FADE;
+    sleepFadeInput.value = sleepFadeSeconds;
+    saveSetting(STORAGE_KEYS.sleepFade, sleepFadeSeconds);
+}
+
+/**
+ * Saves the crossfade length between stations from the settings panel (0 = switch directly).
+ */
+function handleCrossfadeChange() {
+    const seconds = parseFloat(crossfadeInput.value);
+    crossfadeSeconds = Number.isFinite(seconds) && seconds >= 0 ? Math.min(seconds, MAX_CROSSFADE) : DEFAULT_CROSSFADE;
+    crossfadeInput.value = crossfadeSeconds;
+    playerCore.setCrossfadeDuration(crossfadeSeconds);
+    saveSetting(STORAGE_KEYS.crossfade, crossfadeSeconds);
+}
+
+/**
+ * Starts 15ms peak sampling for the waveform history.
+ */
+function startPeakSampling() {
+    if (peakSamplingIntervalId) clearInterval(peakSamplingIntervalId);
+
+    // Initial fill history with zeros
+    waveformHistory = Array(totalBars).fill(0);
+
+    peakSamplingIntervalId = setInterval(() => {
+        if (!analyser || !dataArray || !playerCore.isPlaying() || audioContext.state === 'suspended') {
+            stopPeakSampling();
+            return;
+        }
+
+        // Get time domain data (amplitude)
+        analyser.getByteTimeDomainData(dataArray);
+
+        let maxAmplitude = 0;
+
+        // Find the highest peak in the buffer
+        for (let j = 0; j < dataArray.length; j++) {
+            // Normalize data to -128 to 127 range and take absolute value
+            const amplitudeSample = Math.abs(dataArray[j] - 128);
+            if (amplitudeSample > maxAmplitude) {
+                maxAmplitude = amplitudeSample;
+            }
+        }
+
+        // Normalize the peak amplitude (maxAmplitude is 0-127)
+        const normalizedAmplitude = maxAmplitude / 128;
+
+        // Calculate half bar height (0.45 for margin)
+        const halfBarHeight = normalizedAmplitude * (visHeight * 0.45);
+
+        // Shift array and add new bar (creates scrolling effect)
+        while (waveformHistory.length >= totalBars) {
+            waveformHistory.shift();
+        }
+        waveformHistory.push(halfBarHeight);
+
+    }, WAVEFORM_UPDATE_INTERVAL); // 15ms
+}
+
+/**
+ * Stops peak sampling.
+ */
+function stopPeakSampling() {
+    if (peakSamplingIntervalId) {
+        clearInterval(peakSamplingIntervalId);
+        peakSamplingIntervalId = null;
+    }
+}
+
+/**
+ * Matches the canvas backing store to its CSS size and the device pixel ratio,
+ * so drawing stays sharp on high-DPI screens.
+ */
+function resizeVisualizer() {
+    const rect = visualizerCanvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    visWidth = rect.width;
+    visHeight = rect.height;
+    centerY = visHeight / 2;
+    totalBars = Math.floor(visWidth / STEP);
+
+    visualizerCanvas.width = Math.round(visWidth * dpr);
+    visualizerCanvas.height = Math.round(visHeight * dpr);
+    canvasCtx.setTransform(dpr, 0, 0, dpr, 0, 0); // Draw in CSS pixels
+
+    // Keep the newest history bars that still fit
+    if (waveformHistory.length > totalBars) {
+        waveformHistory = waveformHistory.slice(-totalBars);
+    }
+
+    if (!playerCore.isPlaying()) {
+        drawCenterLine();
+    }
+}
+
+/**
+ * Strokes the thin center dashed line.
+ */
+function strokeCenterLine() {
+    canvasCtx.beginPath();
+    canvasCtx.strokeStyle = LINE_COLOR_CENTER;
+    canvasCtx.lineWidth = 0.5;
+
+    // Simulate dashed line
+    for (let dashX = 0; dashX < visWidth; dashX += 4) {
+        canvasCtx.moveTo(dashX, centerY);
+        canvasCtx.lineTo(dashX + 2, centerY);
+    }
+    canvasCtx.stroke();
+}
+
+/**
+ * Draws the center dashed line on the canvas.
+ * This function is used for the initial/paused state.
+ */
+function drawCenterLine() {
+    // Clear canvas and draw dark background
+    canvasCtx.fillStyle = BACKGROUND_COLOR;
+    canvasCtx.fillRect(0, 0, visWidth, visHeight);
+
+    strokeCenterLine();
+}
+
+/**
+ * Renderer: scrolling peak-history bars (fed by startPeakSampling).
+ */
+function drawHistoryBars() {
+    // Set style for drawing bars
+    canvasCtx.strokeStyle = BAR_COLOR;
+    canvasCtx.lineWidth = BAR_WIDTH;
+
+    let x = 0; // Starting horizontal position
+
+    // Draw based on history array
+    for (let i = 0; i < waveformHistory.length; i++) {
+        const halfBarHeight = waveformHistory[i];
+
+        canvasCtx.beginPath();
+        canvasCtx.moveTo(x, centerY - halfBarHeight);
+        canvasCtx.lineTo(x, centerY + halfBarHeight);
+        canvasCtx.stroke();
+
+        x += STEP;
+    }
+
+    // Always draw the center line over the bars for visual anchor
+    strokeCenterLine();
+}
+
+/**
+ * Renderer: frequency spectrum bars rising from the bottom.
+ */
+function drawSpectrum() {
+    analyser.getByteFrequencyData(frequencyData);
+
+    const binCount = Math.floor(frequencyData.length * SPECTRUM_BIN_RATIO);
+    const barSlot = visWidth / binCount;
+
+    canvasCtx.fillStyle = BAR_COLOR;
+    for (let i = 0; i < binCount; i++) {
+        const barHeight = (frequencyData[i] / 255) * visHeight;
+        canvasCtx.fillRect(i * barSlot, visHeight - barHeight, Math.max(1, barSlot - BAR_SPACING), barHeight);
+    }
+}
+
+/**
+ * Renderer: live oscilloscope trace of the time domain signal.
+ */
+function drawOscilloscope() {
+    analyser.getByteTimeDomainData(dataArray);
+
+    strokeCenterLine();
+
+    canvasCtx.beginPath();
+    canvasCtx.strokeStyle = BAR_COLOR;
+    canvasCtx.lineWidth = 1.5;
+
+    const sliceWidth = visWidth / (dataArray.length - 1);
+    for (let i = 0; i < dataArray.length; i++) {
+        // 128 is silence (center line)
+        const y = centerY + ((dataArray[i] - 128) / 128) * (visHeight * 0.45);
+        if (i === 0) {
+            canvasCtx.moveTo(0, y);
+        } else {
+            canvasCtx.lineTo(i * sliceWidth, y);
+        }
+    }
+    canvasCtx.stroke();
+}
+
+/**
+ * Renderer: frequency bars radiating from a circle in the middle of the canvas.
+ */
+function drawRadial() {
+    analyser.getByteFrequencyData(frequencyData);
+
+    const binCount = Math.floor(frequencyData.length * SPECTRUM_BIN_RATIO);
+    const centerX = visWidth / 2;
+    const maxRadius = Math.min(visWidth, visHeight) / 2;
+    const innerRadius = maxRadius * RADIAL_INNER_RATIO;
+
+    canvasCtx.strokeStyle = BAR_COLOR;
+    canvasCtx.lineWidth = BAR_WIDTH;
+
+    canvasCtx.beginPath();
+    canvasCtx.arc(centerX, centerY, innerRadius, 0, Math.PI * 2);
+    canvasCtx.stroke();
+
+    for (let i = 0; i < binCount; i++) {
+        const angle = (i / binCount) * Math.PI * 2 - Math.PI / 2;
+        const barLength = (frequencyData[i] / 255) * (maxRadius - innerRadius);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        canvasCtx.beginPath();
+        canvasCtx.moveTo(centerX + cos * innerRadius, centerY + sin * innerRadius);
+        canvasCtx.lineTo(centerX + cos * (innerRadius + barLength), centerY + sin * (innerRadius + barLength));
+        canvasCtx.stroke();
+    }
+}
+
+// Available visualizer renderers, in button cycling order
+const VISUALIZER_MODES = {
+    history: { labelKey: 'visualizer.history', draw: drawHistoryBars },
+    spectrum: { labelKey: 'visualizer.spectrum', draw: drawSpectrum },
+    oscilloscope: { labelKey: 'visualizer.oscilloscope', draw: drawOscilloscope },
+    radial: { labelKey: 'visualizer.radial', draw: drawRadial }
+};
+
+/**
+ * Switches to the next visualizer mode and remembers the choice.
+ */
+function cycleVisualizerMode() {
+    const modes = Object.keys(VISUALIZER_MODES);
+    visualizerMode = modes[(modes.indexOf(visualizerMode) + 1) % modes.length];
+    saveSetting(STORAGE_KEYS.visualizerMode, visualizerMode);
+    updateVisualizerModeButton();
+}
+
+/**
+ * Shows the current visualizer mode on the mode button.
+ */
+function updateVisualizerModeButton() {
+    visualizerModeBtn.textContent = t(VISUALIZER_MODES[visualizerMode].labelKey);
+}
+
+/**
+ * Main visualizer drawing function (runs at 60 FPS for smooth scrolling).
+ */
+function drawVisualizer() {
+    // Request next animation frame
+    animationFrameId = requestAnimationFrame(drawVisualizer);
+
+    if (!playerCore.isPlaying()) {
+        // Exit loop if playback is stopped
+        cancelAnimationFrame(animationFrameId);
+        return;
+    }
+
+    // Clear canvas and draw dark background
+    canvasCtx.fillStyle = BACKGROUND_COLOR;
+    canvasCtx.fillRect(0, 0, visWidth, visHeight);
+
+    VISUALIZER_MODES[visualizerMode].draw();
+}
+
+/**
+ * Sets the OS media controls (lock screen, headset buttons): play/pause/stop,
+ * and previous/next track switch stations. A live stream cannot seek.
+ */
+function setupMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+
+    const handlers = {
+        play: () => {
+            if (audioContext && audioContext.state === 'suspended') {
+                audioContext.resume();
+            }
+            if (!playerCore.isPlaying()) playerCore.toggle();
+        },
+        pause: () => { if (playerCore.isPlaying()) playerCore.toggle(); },
+        stop: () => playerCore.stop(),
+        // Cycle through every online station, even ones hidden by the station search
+        previoustrack: () => selectAdjacentStation(-1, false, getListedStations(true)),
+        nexttrack: () => selectAdjacentStation(1, false, getListedStations(true)),
+        seekto: null,
+        seekbackward: null,
+        seekforward: null
+    };
+
+    Object.entries(handlers).forEach(([action, handler]) => {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (error) {
+            // Older browsers reject actions they do not know (e.g. 'stop')
+        }
+    });
+}
+
+/**
+ * Updates the Media Session metadata for OS-level control.
+ * @param {object} song - The song object (title, artist, art).
+ * @param {object} station - The station object (name).
+ */
+function updateMediaSession(song, station) {
+    if ('mediaSession' in navigator) {
+        const stationName = getStationDisplayName(station.name);
+        const placeholderText = station.name.replace(/\s/g, '+') || t('common.radio');
+
+        // Album art comes in one size, so it is offered for all sizes; placeholders are made per size
+        const artwork = song.art
+            ? [{ src: song.art, sizes: MEDIA_ARTWORK_SIZES.map(size => `${size}x${size}`).join(' ') }]
+            : MEDIA_ARTWORK_SIZES.map(size => ({
+                src: `https://placehold.co/${size}/EEE/31343C/png?font=Vazirmatn&text=${placeholderText}`,
+                sizes: `${size}x${size}`,
+                type: 'image/png'
+            }));
+
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: song.title || t('track.unknownTitle'),
+            artist: song.artist || stationName,
+            album: stationName || t('app.name'),
+            artwork
+        });
+    }
+}
+
+/**
+ * Publishes the lag-adjusted track progress, so lock screens show elapsed/remaining time.
+ * @param {number} elapsed - Seconds since the track started (as heard).
+ * @param {number} duration - Track duration in seconds (0 if unknown).
+ */
+function updateMediaPositionState(elapsed, duration) {
+    if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+
+    try {
+        if (duration > 0) {
+            navigator.mediaSession.setPositionState({
+                duration,
+                playbackRate: 1,
+                position: Math.min(Math.max(elapsed, 0), duration)
+            });
+        } else {
+            navigator.mediaSession.setPositionState();
+        }
+    } catch (error) {
+        console.warn("Could not set media position state:", error);
+    }
+}
+
+/**
+ * Clears the Media Session metadata (no track information available).
+ */
+function clearMediaSession() {
+    if ('mediaSession' in navigator) {
+        navigator.mediaSession.metadata = null;
+        updateMediaPositionState(0, 0);
+    }
+}
+
+/**
+ * Creates a compact track row (art, title, artist and local play time).
+ * @param {object} trackData - A timeline item (song, played_at).
+ * @param {string} stationName - Used for the placeholder art.
+ * @param {string} [tagName='div'] - Element to create ('li' inside lists).
+ * @returns {HTMLElement} The row element.
+ */
+function createTrackRow(trackData, stationName, tagName = 'div') {
+    const song = trackData.song;
+    const row = document.createElement(tagName);
+    row.className = 'track-row flex items-center gap-3';
+
+    const art = document.createElement('img');
+    art.className = 'track-row-art';
+    art.alt = '';
+    art.loading = 'lazy';
+    art.src = song.art || `https://placehold.co/64/EEE/31343C?font=Vazirmatn&text=${stationName.replace(/\s/g, '+')}`;
+
+    const info = document.createElement('div');
+    info.className = 'flex-1 min-w-0';
+
+    const title = document.createElement('p');
+    title.className = 'text-sm text-white truncate';
+    title.textContent = song.title || t('track.untitled');
+
+    const artist = document.createElement('p');
+    artist.className = 'text-xs text-gray-400 truncate';
+    artist.textContent = song.artist || t('track.unknownArtist');
+
+    info.append(title, artist);
+
+    const time = document.createElement('span');
+    time.className = 'text-xs font-mono text-gray-500';
+    // Same lag correction as the now playing track, so times match what we hear
+    time.textContent = trackData.played_at ? formatClockTime(trackData.played_at + playerCore.getLatency(currentStationShortcode)) : '';
+
+    row.append(art, info, time);
+    return row;
+}
+
+/**
+ * Renders the "up next" card.
+ * @param {object|null} trackData - The next track, or null if unknown.
+ * @param {string} stationName - Current station name.
+ */
+function renderUpNext(trackData, stationName) {
+    upNextCard.innerHTML = '';
+    if (!trackData) {
+        upNextCard.dataset.i18n = 'common.unknown';
+        upNextCard.textContent = t('common.unknown');
+        return;
+    }
+    delete upNextCard.dataset.i18n; // The track row is re-rendered on a language change
+    upNextCard.appendChild(createTrackRow(trackData, stationName));
+}
+
+/**
+ * Renders the scrollable "recently played" list.
+ * @param {Array} history - Timeline items older than the current track (newest first).
+ * @param {string} stationName - Current station name.
+ */
+function renderSongHistory(history, stationName) {
+    historyList.innerHTML = '';
+    if (history.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'text-center text-gray-500 text-sm';
+        empty.textContent = t('nowPlaying.noHistory');
+        historyList.appendChild(empty);
+        return;
+    }
+    history.forEach(trackData => {
+        historyList.appendChild(createTrackRow(trackData, stationName, 'li'));
+    });
+}
+
+/**
+ * Likes or unlikes the current track.
+ */
+async function toggleLikeCurrentSong() {
+    if (!currentSong || !currentStation) return;
+
+    try {
+        await library.toggleLike(currentSong, currentStation);
+    } catch (error) {
+        console.error("Error saving liked song:", error);
+    }
+    updateLikeButton();
+    if (libraryPanel.style.display !== 'none') renderLibrary();
+}
+
+/**
+ * Adds a song to the liked songs (used by the notification's like action).
+ */
+async function likeSong(song, station) {
+    try {
+        await library.likeSong(song, station);
+    } catch (error) {
+        console.error("Error saving liked song:", error);
+    }
+    updateLikeButton();
+    if (libraryPanel.style.display !== 'none') renderLibrary();
+}
+
+/**
+ * Shows whether the current track is liked.
+ */
+async function updateLikeButton() {
+    likeBtn.disabled = !currentSong;
+    let isLiked = false;
+    if (currentSong) {
+        try {
+            isLiked = await library.isLiked(currentSong);
+        } catch (error) {
+            console.error("Error reading liked songs:", error);
+        }
+    }
+    likeBtn.classList.toggle('liked', isLiked);
+    likeBtn.setAttribute('aria-pressed', String(isLiked));
+}
+
+/**
+ * Renders the library list, filtered by the search box.
+ */
+async function renderLibrary() {
+    let songs = [];
+    try {
+        songs = await library.getLikedSongs();
+    } catch (error) {
+        console.error("Error reading liked songs:", error);
+    }
+
+    const query = librarySearchInput.value.trim().toLowerCase();
+    if (query) {
+        songs = songs.filter(s => [s.title, s.artist, s.album, s.stationName, getStationDisplayName(s.stationName)].some(v => (v || '').toLowerCase().includes(query)));
+    }
+
+    libraryList.innerHTML = '';
+    if (songs.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'text-center text-gray-500 text-sm';
+        empty.textContent = query ? t('library.noResults') : t('library.empty');
+        libraryList.appendChild(empty);
+        return;
+    }
+
+    songs.forEach(record => {
+        // Reuse the history row layout; the time column shows the station and like date
+        const row = createTrackRow({ song: record }, record.stationName, 'li');
+        row.querySelector('span').textContent = `${getStationDisplayName(record.stationName)} · ${formatDateTime(record.likedAt)}`;
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'library-delete-btn';
+        deleteBtn.textContent = '✕';
+        deleteBtn.setAttribute('aria-label', t('common.delete'));
+        deleteBtn.addEventListener('click', async () => {
+            try {
+                await library.deleteLikedSong(record.id);
+            } catch (error) {
+                console.error("Error deleting liked song:", error);
+            }
+            renderLibrary();
+            updateLikeButton();
+        });
+        row.appendChild(deleteBtn);
+
+        libraryList.appendChild(row);
+    });
+}
+
+/**
+ * Opens the library view.
+ */
+function openLibrary() {
+    libraryPanel.style.display = 'flex';
+    renderLibrary();
+    librarySearchInput.focus();
+}
+
+/**
+ * Closes the library view.
+ */
+function closeLibrary() {
+    libraryPanel.style.display = 'none';
+}
+
+// --- Song Requests ---
+
+/**
+ * Shows the "request a song" button only on stations that accept requests.
+ */
+function updateRequestsButton() {
+    const station = playerCore.getCurrentStation();
+    const enabled = Boolean(station?.requestsEnabled);
+    openRequestsBtn.style.display = enabled ? '' : 'none';
+    if (!enabled && requestsPanel.style.display !== 'none') closeRequests();
+}
+
+/**
+ * Opens the song request dialog for the current station.
+ */
+function openRequests() {
+    const station = playerCore.getCurrentStation();
+    if (!station?.requestsEnabled) return;
+
+    requestsStationEl.textContent = getStationDisplayName(station.originalName);
+    requestsSearchInput.value = '';
+    requestsPage = 1;
+    showRequestStatus(null);
+    requestsPanel.style.display = 'flex';
+    loadRequestableSongs();
+    requestsSearchInput.focus();
+}
+
+/**
+ * Closes the song request dialog.
+ */
+function closeRequests() {
+    clearTimeout(requestsSearchTimeoutId);
+    requestsPanel.style.display = 'none';
+}
+
+/**
+ * Shows a request result ('success' | 'cooldown' | 'error'), or hides the status with null.
+ * @param {string|null} code - Result code from submitSongRequest.
+ * @param {string} [message] - Server message, shown after the explanation.
+ */
+function showRequestStatus(code, message = '') {
+    requestsStatus.className = `requests-status text-sm mb-3 ${code || ''}`;
+    requestsStatus.style.display = code ? 'block' : 'none';
+    requestsStatus.textContent = code ? t(`requests.${code}`) + (message && code !== 'success' ? ` (${message})` : '') : '';
+}
+
+/**
+ * Loads and renders one page of requestable songs (with the search phrase).
+ */
+async function loadRequestableSongs() {
+    const station = playerCore.getCurrentStation();
+    if (!station) return;
+
+    const loadId = ++requestsLoadId;
+    const search = requestsSearchInput.value.trim();
+    renderRequestsMessage(t('requests.loading'));
+    requestsPrevBtn.disabled = true;
+    requestsNextBtn.disabled = true;
+
+    let result;
+    try {
+        result = await playerCore.getRequestableSongs(station.shortcode, { page: requestsPage, search });
+    } catch (error) {
+        console.error("Error loading requestable songs:", error);
+        if (loadId === requestsLoadId) renderRequestsMessage(t('requests.loadError'));
+        return;
+    }
+    if (loadId !== requestsLoadId) return;
+
+    requestsTotalPages = result.totalPages;
+    requestsPageEl.textContent = t('requests.page', { page: formatNumber(result.page), total: formatNumber(result.totalPages) });
+    requestsPrevBtn.disabled = result.page <= 1;
+    requestsNextBtn.disabled = result.page >= result.totalPages;
+
+    if (result.rows.length === 0) {
+        renderRequestsMessage(search ? t('requests.noResults') : t('requests.empty'));
+        return;
+    }
+
+    requestsList.innerHTML = '';
+    result.rows.forEach(({ requestId, song }) => {
+        // Reuse the history row layout; the time column shows the album
+        const row = createTrackRow({ song }, station.name, 'li');
+        row.lastElementChild.textContent = song.album || '';
+
+        const submitBtn = document.createElement('button');
+        submitBtn.className = 'request-submit-btn';
+        submitBtn.textContent = t('requests.submit');
+        submitBtn.addEventListener('click', () => handleSongRequest(station.shortcode, requestId, submitBtn));
+        row.appendChild(submitBtn);
+
+        requestsList.appendChild(row);
+    });
+}
+
+/**
+ * Replaces the request list with a single message line.
+ */
+function renderRequestsMessage(message) {
+    requestsList.innerHTML = '';
+    const item = document.createElement('li');
+    item.className = 'text-center text-gray-500 text-sm';
+    item.textContent = message;
+    requestsList.appendChild(item);
+}
+
+/**
+ * Submits a request and shows the outcome.
+ */
+async function handleSongRequest(shortcode, requestId, submitBtn) {
+    submitBtn.disabled = true;
+    const { code, message } = await playerCore.submitSongRequest(shortcode, requestId);
+    showRequestStatus(code, message);
+    announce(requestsStatus.textContent);
+
+    if (code === 'success') {
+        submitBtn.textContent = t('requests.submitted');
+    } else {
+        submitBtn.disabled = false;
+    }
+}
+
+/**
+ * Moves to the previous/next page of requestable songs.
+ */
+function changeRequestsPage(offset) {
+    const page = Math.min(Math.max(requestsPage + offset, 1), requestsTotalPages);
+    if (page === requestsPage) return;
+    requestsPage = page;
+    loadRequestableSongs();
+}
+
+/**
+ * Searches the requestable songs once typing pauses.
+ */
+function handleRequestsSearch() {
+    clearTimeout(requestsSearchTimeoutId);
+    requestsSearchTimeoutId = setTimeout(() => {
+        requestsPage = 1;
+        loadRequestableSongs();
+    }, REQUEST_SEARCH_DELAY);
+}
+
+// --- Listening Statistics ---
+
+/**
+ * Starts logging a listening session on a station (playback started or the station changed while playing).
+ */
+async function startListeningSession(station) {
+    const now = Date.now();
+    const session = {
+        record: { station: station.shortcode, stationName: station.originalName, startedAt: now, endedAt: now },
+        lastTrackKey: null
+    };
+    listeningSession = session;
+    listeningHeartbeatId = setInterval(() => saveListeningSession(), STATS_HEARTBEAT_INTERVAL);
+
+    try {
+        session.record.id = await library.addListeningSession(session.record);
+    } catch (error) {
+        console.error("Error saving listening session:", error);
+        return;
+    }
+    if (listeningSession !== session) {
+        // Ended while it was being created
+        saveListeningSession(session);
+        return;
+    }
+
+    // The track already shown is the first one heard
+    if (lastNowPlaying?.song && lastNowPlaying.station?.shortcode === station.shortcode) {
+        logHeardTrack(lastNowPlaying.song, lastNowPlaying.station);
+    }
+}
+
+/**
+ * Saves a session (default: the running one) with the current time as its end.
+ */
+async function saveListeningSession(session = listeningSession) {
+    if (!session || session.record.id === undefined) return;
+
+    session.record.endedAt = Date.now();
+    try {
+        await library.saveListeningSession(session.record);
+    } catch (error) {
+        console.error("Error saving listening session:", error);
+    }
+}
+
+/**
+ * Ends the running session (playback stopped or the station changed).
+ */
+function endListeningSession() {
+    if (!listeningSession) return;
+    clearInterval(listeningHeartbeatId);
+    listeningHeartbeatId = null;
+    saveListeningSession();
+    listeningSession = null;
+}
+
+/**
+ * Logs a track heard in the running session (each track once, even if now playing repeats it).
+ */
+async function logHeardTrack(song, station) {
+    const session = listeningSession;
+    const key = getSongKey(song);
+    if (!session || session.record.station !== station.shortcode || session.lastTrackKey === key) return;
+    session.lastTrackKey = key;
+
+    try {
+        await library.addHeardTrack(song, station);
+    } catch (error) {
+        console.error("Error saving heard track:", error);
+    }
+}
+
+/**
+ * Formats a listening time (e.g. "2 h 5 min").
+ */
+function formatListeningTime(ms) {
+    const totalMinutes = Math.round(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0
+        ? t('stats.hoursMinutes', { hours: formatNumber(hours), minutes: formatNumber(minutes) })
+        : t('stats.minutes', { minutes: formatNumber(minutes) });
+}
+
+/**
+ * Formats the start of an hour of day as a clock time in the locale's digits (e.g. "18:00").
+ */
+function formatHourOfDay(hour) {
+    return formatDateTime(new Date(2000, 0, 1, hour), { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+}
+
+/**
+ * Formats a date as the value of a date input (local date, YYYY-MM-DD).
+ */
+function toDateInputValue(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Reads the date range filter: from the start of the first day to the end of the last day (local time).
+ * @returns {{from: number, to: number}} Range in ms.
+ */
+function getStatsRange() {
+    const from = statsFromInput.value ? new Date(`${statsFromInput.value}T00:00`).getTime() : 0;
+    const toDay = statsToInput.value ? new Date(`${statsToInput.value}T00:00`) : new Date();
+    toDay.setHours(24, 0, 0, 0);
+    return { from, to: toDay.getTime() };
+}
+
+/**
+ * Fills a ranked list: label, value and a bar relative to the first (largest) entry.
+ * @param {HTMLElement} list - The list element.
+ * @param {Array} items - [{ label, value, amount }], largest first.
+ */
+function renderStatsList(list, items) {
+    list.innerHTML = '';
+    if (items.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'text-gray-500';
+        empty.textContent = t('stats.empty');
+        list.appendChild(empty);
+        return;
+    }
+
+    const max = items[0].amount || 1;
+    items.forEach(item => {
+        const row = document.createElement('li');
+        row.className = 'stats-row';
+
+        const label = document.createElement('span');
+        label.className = 'truncate';
+        label.textContent = item.label;
+        const value = document.createElement('span');
+        value.className = 'text-gray-500 shrink-0';
+        value.textContent = item.value;
+        const bar = document.createElement('span');
+        bar.className = 'stats-bar';
+        bar.style.width = `${(item.amount / max) * 100}%`;
+
+        row.append(label, value, bar);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Draws listening time per hour of day as 24 bars.
+ */
+function renderStatsHours(hours) {
+    statsHoursEl.innerHTML = '';
+    const max = Math.max(...hours) || 1;
+    const peakHour = hours.indexOf(Math.max(...hours));
+
+    hours.forEach((ms, hour) => {
+        const column = document.createElement('div');
+        column.className = 'stats-hour';
+        column.title = `${formatHourOfDay(hour)} · ${formatListeningTime(ms)}`;
+        const bar = document.createElement('div');
+        bar.className = 'stats-hour-bar';
+        bar.style.height = `${(ms / max) * 100}%`;
+        column.appendChild(bar);
+        statsHoursEl.appendChild(column);
+    });
+    statsHourLabelsEl.innerHTML = '';
+    STATS_HOUR_LABELS.forEach(hour => {
+        const label = document.createElement('span');
+        label.textContent = formatNumber(hour);
+        statsHourLabelsEl.appendChild(label);
+    });
+    statsHoursEl.setAttribute('aria-label', hours.some(ms => ms > 0)
+        ? t('stats.peakHour', { hour: formatHourOfDay(peakHour) })
+        : t('stats.empty'));
+}
+
+/**
+ * Computes and shows the statistics of the selected date range.
+ */
+async function renderStats() {
+    let sessions = [];
+    let tracks = [];
+    try {
+        ({ sessions, tracks } = await library.getListeningRecords());
+    } catch (error) {
+        console.error("Error reading listening statistics:", error);
+    }
+
+    // The running session counts up to now
+    if (listeningSession) {
+        sessions = sessions.filter(session => session.id !== listeningSession.record.id);
+        sessions.push({ ...listeningSession.record, endedAt: Date.now() });
+    }
+
+    const { from, to } = getStatsRange();
+    const summary = summarizeListening(sessions, tracks, from, to);
+
+    statsTotalEl.textContent = t('stats.total', { time: formatListeningTime(summary.totalMs) });
+    renderStatsList(statsStationsList, summary.stations.map(entry => ({
+        label: getStationDisplayName(entry.stationName),
+        value: formatListeningTime(entry.ms),
+        amount: entry.ms
+    })));
+    renderStatsHours(summary.hours);
+    renderStatsList(statsArtistsList, summary.artists.slice(0, STATS_TOP_COUNT).map(entry => ({
+        label: entry.artist,
+        value: t('stats.plays', { count: formatNumber(entry.count) }),
+        amount: entry.count
+    })));
+    renderStatsList(statsTracksList, summary.tracks.slice(0, STATS_TOP_COUNT).map(entry => ({
+        label: entry.artist ? `${entry.title || t('track.untitled')} · ${entry.artist}` : (entry.title || t('track.untitled')),
+        value: t('stats.plays', { count: formatNumber(entry.count) }),
+        amount: entry.count
+    })));
+}
+
+/**
+ * Opens the statistics view (last STATS_DEFAULT_RANGE_DAYS days unless a range was chosen).
+ */
+function openStats() {
+    if (!statsFromInput.value && !statsToInput.value) {
+        const from = new Date();
+        from.setDate(from.getDate() - (STATS_DEFAULT_RANGE_DAYS - 1));
+        statsFromInput.value = toDateInputValue(from);
+        statsToInput.value = toDateInputValue(new Date());
+    }
+    statsPanel.style.display = 'flex';
+    renderStats();
+    closeStatsBtn.focus();
+}
+
+/**
+ * Closes the statistics view.
+ */
+function closeStats() {
+    statsPanel.style.display = 'none';
+}
+
+/**
+ * Deletes all listening statistics after a confirmation (a running session starts over).
+ */
+async function clearStats() {
+    if (!confirm(t('stats.clearConfirm'))) return;
+
+    try {
+        await library.clearListeningRecords();
+    } catch (error) {
+        console.error("Error clearing listening statistics:", error);
+    }
+
+    if (listeningSession) {
+        const station = playerCore.getCurrentStation();
+        endListeningSession();
+        if (station) startListeningSession(station);
+    }
+    renderStats();
+}
+
+/**
+ * Triggers a file download.
+ * @param {string} content - File content.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} mimeType - MIME type.
+ */
+function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Exports the library as CSV or JSON.
+ * @param {'csv'|'json'} format - Export format.
+ */
+async function exportLibrary(format) {
+    try {
+        const file = await library.exportLikedSongs(format);
+        downloadFile(file.content, file.fileName, file.mimeType);
+    } catch (error) {
+        console.error("Error reading liked songs:", error);
+    }
+}
+
+/**
+ * Imports liked songs from a CSV or JSON file (same formats as the export).
+ */
+async function importLibrary(file) {
+    try {
+        await library.importLikedSongs(file.name, await file.text());
+    } catch (error) {
+        console.error("Error importing liked songs:", error);
+        alert(t('library.importError'));
+    }
+
+    importLibraryInput.value = '';
+    renderLibrary();
+    updateLikeButton();
+}
+
+/**
+ * Returns the first recording format this browser supports ('' = browser default).
+ */
+function getRecordingMimeType() {
+    return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+/**
+ * Builds an "Artist - Title" file name that is safe on every OS.
+ */
+function getRecordingFileName(song, mimeType) {
+    const extension = mimeType.includes('ogg') ? 'ogg' : mimeType.includes('mp4') ? 'm4a' : 'webm';
+    const baseName = song ? `${song.artist || t('track.unknownArtist')} - ${song.title || t('track.untitled')}` : 'Beeptunes Radio';
+    return `${baseName.replace(/[\\/:*?"<>|]+/g, '_').trim()}.${extension}`;
+}
+
+/**
+ * Starts recording the live stream (one file per track).
+ */
+function startRecording() {
+    if (!('MediaRecorder' in window)) {
+        recordingStatus.textContent = t('recording.unsupported');
+        return;
+    }
+    if (!playerCore.isPlaying() || !audioContext) {
+        recordingStatus.textContent = t('recording.startFirst');
+        return;
+    }
+
+    // Tap the graph before the volume stage, so recordings don't depend on the volume
+    if (!recordDestination) {
+        recordDestination = audioContext.createMediaStreamDestination();
+        analyser.connect(recordDestination);
+    }
+
+    isRecording = true;
+    recordingSessionStartedAt = Date.now();
+    recordingSessionBytes = 0;
+    recordBtn.classList.add('recording');
+    recordBtn.setAttribute('aria-pressed', 'true');
+
+    startRecordingSegment();
+    updateRecordingStatus();
+    recordingStatusIntervalId = setInterval(updateRecordingStatus, 1000);
+}
+
+/**
+ * Finishes the current file (if any) and starts a new one for the current track.
+ */
+function startRecordingSegment() {
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        mediaRecorder.stop();
+    }
+
+    const mimeType = getRecordingMimeType();
+    const recorder = new MediaRecorder(recordDestination.stream, mimeType ? { mimeType } : undefined);
+    const fileName = getRecordingFileName(currentSong, recorder.mimeType || mimeType);
+    const startedAt = Date.now();
+    const chunks = [];
+
+    recorder.ondataavailable = (event) => {
+        if (event.data.size === 0) return;
+        chunks.push(event.data);
+        recordingSessionBytes += event.data.size;
+        if (recordingSessionBytes >= RECORDING_MAX_BYTES) {
+            stopRecording(t('recording.maxSize'));
+        }
+    };
+
+    recorder.onstop = () => {
+        if (chunks.length === 0) return;
+        const blob = new Blob(chunks, { type: recorder.mimeType });
+        recordings.unshift({
+            name: fileName,
+            url: URL.createObjectURL(blob),
+            size: blob.size,
+            duration: (Date.now() - startedAt) / 1000
+        });
+        renderRecordings();
+    };
+
+    recorder.start(RECORDING_TIMESLICE);
+    mediaRecorder = recorder;
+}
+
+/**
+ * Stops recording and finalizes the current file.
+ * @param {string} [message] - Status text to show (e.g. when a cap was reached).
+ */
+function stopRecording(message = '') {
+    if (!isRecording) return;
+
+    isRecording = false;
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        mediaRecorder.stop();
+    }
+    mediaRecorder = null;
+
+    if (recordingStatusIntervalId) {
+        clearInterval(recordingStatusIntervalId);
+        recordingStatusIntervalId = null;
+    }
+    recordBtn.classList.remove('recording');
+    recordBtn.setAttribute('aria-pressed', 'false');
+    recordingStatus.textContent = message;
+}
+
+/**
+ * Toggles recording.
+ */
+function toggleRecording() {
+    if (isRecording) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+}
+
+/**
+ * Shows the session duration/size and enforces the duration cap.
+ */
+function updateRecordingStatus() {
+    const elapsed = Date.now() - recordingSessionStartedAt;
+    if (elapsed >= RECORDING_MAX_DURATION) {
+        stopRecording(t('recording.maxDuration'));
+        return;
+    }
+    recordingStatus.textContent = t('recording.active', { time: formatTime(elapsed / 1000), size: formatMegabytes(recordingSessionBytes) });
+}
+
+/**
+ * Renders the list of finished recordings with download/delete actions.
+ */
+function renderRecordings() {
+    recordingsList.innerHTML = '';
+    if (recordings.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'text-center text-gray-500 text-sm';
+        empty.textContent = t('recording.none');
+        recordingsList.appendChild(empty);
+        return;
+    }
+
+    recordings.forEach(recording => {
+        const row = document.createElement('li');
+        row.className = 'flex items-center gap-2 text-sm';
+
+        const info = document.createElement('span');
+        info.className = 'flex-1 min-w-0 truncate text-gray-300';
+        info.textContent = recording.name;
+        info.title = recording.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'text-xs font-mono text-gray-500';
+        meta.textContent = `${formatTime(recording.duration)} · ${formatMegabytes(recording.size)} MB`;
+
+        const downloadLink = document.createElement('a');
+        downloadLink.className = 'text-[#58a6ff] hover:underline';
+        downloadLink.href = recording.url;
+        downloadLink.download = recording.name;
+        downloadLink.textContent = t('common.download');
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'library-delete-btn';
+        deleteBtn.textContent = '✕';
+        deleteBtn.setAttribute('aria-label', t('common.delete'));
+        deleteBtn.addEventListener('click', () => {
+            URL.revokeObjectURL(recording.url);
+            recordings = recordings.filter(r => r !== recording);
+            renderRecordings();
+        });
+
+        row.append(info, meta, downloadLink, deleteBtn);
+        recordingsList.appendChild(row);
+    });
+}
+
+/**
+ * Returns true if this browser can play HLS (natively or through hls.js).
+ */
+function canPlayHls() {
+    const probe = audioSource || document.createElement('audio');
+    return Boolean(probe.canPlayType('application/vnd.apple.mpegurl')) || Boolean(window.Hls && Hls.isSupported());
+}
+
+/**
+ * Builds a readable label for a stream (e.g. "128 kbps MP3").
+ */
+function getStreamLabel(stream) {
+    if (stream.type === 'hls') return t('quality.hls');
+    const parts = [];
+    if (stream.bitrate) parts.push(`${formatNumber(stream.bitrate)} kbps`);
+    if (stream.format) parts.push(stream.format);
+    return parts.join(' ') || stream.name || t('common.default');
+}
+
+/**
+ * Fills the quality selector with the current station's streams.
+ */
+function updateQualitySelect() {
+    const station = playerCore.getCurrentStation();
+    const currentStream = playerCore.getCurrentStream();
+    qualitySelect.innerHTML = '';
+    if (!station) return;
+
+    const autoOption = document.createElement('option');
+    autoOption.value = 'auto';
+    autoOption.textContent = currentStream ? t('quality.autoWith', { stream: getStreamLabel(currentStream) }) : t('common.auto');
+    qualitySelect.appendChild(autoOption);
+
+    station.streams.forEach(stream => {
+        const option = document.createElement('option');
+        option.value = stream.id;
+        option.textContent = getStreamLabel(stream);
+        qualitySelect.appendChild(option);
+    });
+
+    qualitySelect.value = playerCore.getStreamPreference(station.shortcode);
+    qualitySelect.disabled = station.streams.length < 2;
+}
+
+/**
+ * Shows (or hides) the note that auto quality switched to a lower stream.
+ */
+function updateQualityStatus() {
+    qualityStatus.style.display = downgradedStream ? 'block' : 'none';
+    qualityStatus.textContent = downgradedStream ? t('quality.downgraded', { stream: getStreamLabel(downgradedStream) }) : '';
+}
+
+/**
+ * Saves the quality choice for the current station (the player core restarts playback on the new stream).
+ */
+function handleQualityChange() {
+    if (!currentStationShortcode) return;
+    playerCore.setStreamPreference(currentStationShortcode, qualitySelect.value);
+}
+
+/**
+ * Renders a now playing update of the player core: track info, like button,
+ * up next / history, Media Session, and a new recording file on track change.
+ * @param {object} detail - Player core 'nowplaying' event.
+ */
+function renderNowPlaying(detail) {
+    const { data, station, track, song, upNext, history, isNewTrack } = detail;
+    lastNowPlaying = detail;
+
+    if (!track) {
+        // Fallback text
+        songTitle.textContent = t('nowPlaying.unavailable');
+        artistName.textContent = t('nowPlaying.selectStation');
+        stationNameEl.textContent = data?.station?.name ? getStationDisplayName(data.station.name) : t('app.name');
+        albumArt.src = `https://placehold.co/512/EEE/31343C?font=Vazirmatn&text=${(data?.station?.name || t('common.radio')).replace(/\s/g, '+')}`;
+        renderUpNext(null, '');
+        renderSongHistory([], '');
+        currentSong = null;
+        currentStation = null;
+        updateLikeButton();
+        updateProgress(0, 0);
+        clearMediaSession();
+        return;
+    }
+
+    // Update song title, artist, album art
+    songTitle.textContent = song.title || t('track.untitled');
+    artistName.textContent = song.artist || t('track.unknownArtist');
+    albumArt.src = song.art || `https://placehold.co/512/EEE/31343C?font=Vazirmatn&text=${station.name.replace(/\s/g, '+')}`;
+    stationNameEl.textContent = getStationDisplayName(station.name);
+
+    // Remember the track for the like button
+    currentSong = song;
+    currentStation = station;
+    updateLikeButton();
+
+    // A new track starts a new recording file
+    if (isNewTrack && isRecording) {
+        startRecordingSegment();
+    }
+
+    // Log the track as heard while playing (logHeardTrack skips repeats)
+    logHeardTrack(song, station);
+
+    if (isNewTrack) {
+        notifyTrackChange(song, station);
+        announce(t('a11y.nowPlaying', {
+            title: song.title || t('track.untitled'),
+            artist: song.artist || t('track.unknownArtist'),
+            station: getStationDisplayName(station.name)
+        }));
+    }
+
+    renderUpNext(upNext, station.name);
+    renderSongHistory(history, station.name);
+
+    // Update Media Session for OS control
+    if (!isMediaSessionCleared) {
+        updateMediaSession(song, station);
+    }
+}
+
+/**
+ * Updates station button styles and the radiogroup state (only the checked radio is tabbable).
+ */
+function updateStationButtons() {
+    stationsContainer.querySelectorAll('.station-btn').forEach(btn => {
+        const isCurrent = btn.id === `station-btn-${currentStationShortcode}`;
+        btn.classList.remove('active', 'bg-gray-600', 'text-white', 'border-[#58a6ff]');
+        btn.classList.add('bg-gray-700', 'text-gray-300', 'border-transparent');
+        btn.setAttribute('aria-checked', String(isCurrent));
+        btn.tabIndex = isCurrent ? 0 : -1;
+        btn.disabled = btn.classList.contains('station-offline') && !isCurrent;
+
+        if (isCurrent) {
+            btn.classList.add('active', 'bg-gray-600', 'text-white', 'border-[#58a6ff]');
+            btn.classList.remove('bg-gray-700', 'text-gray-300');
+        }
+    });
+}
+
+/**
+ * Marks the station that is buffering for a crossfade (null clears the mark).
+ * @param {string|null} shortcode - Station shortcode.
+ */
+function markPendingStation(shortcode) {
+    stationsContainer.querySelectorAll('.station-btn').forEach(btn => {
+        const isPending = btn.dataset.shortcode === shortcode;
+        btn.classList.toggle('station-pending', isPending);
+        btn.setAttribute('aria-busy', String(isPending));
+    });
+}
+
+/**
+ * Shows the "reconnecting" overlay in place of the loading spinner.
+ */
+function showReconnecting({ attempt, maxAttempts }) {
+    loadingSpinner.style.display = 'none';
+    reconnectOverlay.style.display = 'block';
+    reconnectStatus.textContent = t('player.reconnectingAttempt', { attempt: formatNumber(attempt), max: formatNumber(maxAttempts) });
+    if (attempt === 1) announce(t('player.reconnecting'));
+}
+
+/**
+ * Hides the "reconnecting" overlay.
+ */
+function hideReconnecting() {
+    reconnectOverlay.style.display = 'none';
+}
+
+/**
+ * Creates the audio output of the player core: two audio elements ("decks")
+ * played through the Web Audio graph (fade -> analyser -> EQ -> normalizer -> volume),
+ * with hls.js for HLS streams the browser cannot play natively. One deck plays;
+ * the other buffers the next station for a crossfade.
+ * @returns {object} Audio output (see createPlayerCore).
+ */
+function createAudioOutput() {
+    let handleEvent = () => {};
+    let isOutputConnected = false;
+    let pendingCrossfade = null; // { deck, fail } while the next station buffers
+    let fadeTimeoutId = null; // Unloads the faded-out deck when the fade ends
+
+    /**
+     * Creates an audio element with its (lazily connected) Web Audio nodes.
+     */
+    function createDeck() {
+        const element = new Audio();
+        element.crossOrigin = 'anonymous'; // Required for audio analysis
+        element.preload = 'none';
+
+        const deck = { element, hls: null, sourceNode: null, fadeGain: null };
+
+        // Only the playing deck reports to the player core
+        ['playing', 'waiting', 'stalled'].forEach(eventName => {
+            element.addEventListener(eventName, () => {
+                if (deck === activeDeck) handleEvent(eventName);
+            });
+        });
+        element.addEventListener('error', (e) => {
+            console.error("Audio error:", e);
+            handleDeckError(deck, 'error event');
+        });
+        return deck;
+    }
+
+    const decks = [createDeck(), createDeck()];
+    let activeDeck = decks[0];
+    audioSource = activeDeck.element;
+
+    /**
+     * Reports a deck failure: to the player core for the playing deck, to the crossfade for the buffering one.
+     */
+    function handleDeckError(deck, reason) {
+        if (deck === activeDeck) {
+            handleEvent('error', reason);
+        } else if (pendingCrossfade && pendingCrossfade.deck === deck) {
+            pendingCrossfade.fail(new Error(`Crossfade stream failed (${reason})`));
+        }
+    }
+
+    /**
+     * Stops and removes a deck's hls.js player.
+     */
+    function destroyHlsPlayer(deck) {
+        if (deck.hls) {
+            deck.hls.destroy();
+            deck.hls = null;
+        }
+    }
+
+    /**
+     * Loads a stream into a deck's audio element (through hls.js for HLS without native support).
+     */
+    function loadDeck(deck, stream) {
+        destroyHlsPlayer(deck);
+
+        const useHlsJs = stream.type === 'hls'
+            && !deck.element.canPlayType('application/vnd.apple.mpegurl')
+            && window.Hls && Hls.isSupported();
+
+        if (useHlsJs) {
+            deck.hls = new Hls();
+            deck.hls.on(Hls.Events.ERROR, (event, data) => {
+                if (data.fatal) {
+                    handleDeckError(deck, `HLS ${data.type}`);
+                }
+            });
+            deck.hls.loadSource(stream.url);
+            deck.hls.attachMedia(deck.element);
+            return;
+        }
+
+        deck.element.src = stream.url;
+        deck.element.load(); // Ensure the element reloads the new stream
+    }
+
+    /**
+     * Stops a deck and releases its stream connection.
+     */
+    function unloadDeck(deck) {
+        deck.element.pause();
+        destroyHlsPlayer(deck);
+        deck.element.removeAttribute('src');
+        deck.element.load();
+    }
+
+    /**
+     * Connects a deck to the shared graph (once per deck) through its own fade gain.
+     */
+    function connectDeck(deck) {
+        if (deck.sourceNode) return;
+        deck.sourceNode = audioContext.createMediaElementSource(deck.element);
+        deck.fadeGain = audioContext.createGain();
+        deck.fadeGain.gain.value = deck === activeDeck ? 1 : 0;
+        deck.sourceNode.connect(deck.fadeGain);
+        // Both decks feed the analyser, so the visualizer and recordings follow the mix
+        deck.fadeGain.connect(analyser);
+    }
+
+    /**
+     * Sets a deck's fade gain immediately (cancelling a running ramp).
+     */
+    function setDeckGain(deck, value) {
+        if (!deck.fadeGain) return;
+        deck.fadeGain.gain.cancelScheduledValues(audioContext.currentTime);
+        deck.fadeGain.gain.value = value;
+    }
+
+    /**
+     * Cancels a buffering crossfade (its promise rejects with an AbortError) and
+     * ends a running fade at once, leaving only the playing deck audible.
+     */
+    function cancelCrossfade() {
+        if (pendingCrossfade) {
+            const error = new Error('Crossfade cancelled');
+            error.name = 'AbortError';
+            pendingCrossfade.fail(error);
+        }
+        if (fadeTimeoutId) {
+            clearTimeout(fadeTimeoutId);
+            fadeTimeoutId = null;
+            decks.filter(deck => deck !== activeDeck).forEach(unloadDeck);
+        }
+        setDeckGain(activeDeck, 1);
+    }
+
+    /**
+     * Ramps the outgoing deck down and the incoming deck up (equal power) and makes the incoming deck current.
+     */
+    function startFade(incoming, duration) {
+        const outgoing = activeDeck;
+        activeDeck = incoming;
+        audioSource = incoming.element;
+
+        const now = audioContext.currentTime;
+        const steps = CROSSFADE_CURVE_STEPS;
+        const fadeIn = new Float32Array(steps);
+        const fadeOut = new Float32Array(steps);
+        for (let i = 0; i < steps; i++) {
+            const progress = i / (steps - 1);
+            fadeIn[i] = Math.sin(progress * Math.PI / 2);
+            fadeOut[i] = Math.cos(progress * Math.PI / 2);
+        }
+        outgoing.fadeGain.gain.cancelScheduledValues(now);
+        outgoing.fadeGain.gain.setValueCurveAtTime(fadeOut, now, duration);
+        incoming.fadeGain.gain.cancelScheduledValues(now);
+        incoming.fadeGain.gain.setValueCurveAtTime(fadeIn, now, duration);
+
+        fadeTimeoutId = setTimeout(() => {
+            fadeTimeoutId = null;
+            unloadDeck(outgoing);
+        }, duration * 1000);
+    }
+
+    return {
+        onEvent(handler) {
+            handleEvent = handler;
+        },
+
+        /**
+         * Loads a stream into the playing deck.
+         */
+        load(stream) {
+            cancelCrossfade();
+            loadDeck(activeDeck, stream);
+        },
+
+        /**
+         * Connects the Web Audio graph (must happen inside a user gesture) and starts playback.
+         */
+        async play() {
+            setupAudioContextAndAnalyser();
+            connectDeck(activeDeck);
+
+            // Connect the volume stage to the output only once
+            if (!isOutputConnected) {
+                gainNode.connect(audioContext.destination);
+                isOutputConnected = true;
+            }
+
+            // Resume AudioContext if suspended (browser restriction)
+            if (audioContext.state === 'suspended') {
+                try {
+                    await audioContext.resume();
+                } catch (e) {
+                    const error = new Error(`AudioContext resume failed: ${e.message}`);
+                    error.name = 'AudioContextError';
+                    throw error;
+                }
+            }
+
+            await activeDeck.element.play();
+        },
+
+        /**
+         * Buffers a stream on the idle deck while the current one keeps playing;
+         * resolves once it plays and the fade has started.
+         */
+        crossfade(stream, duration) {
+            cancelCrossfade();
+            const incoming = decks.find(deck => deck !== activeDeck);
+            connectDeck(incoming);
+            setDeckGain(incoming, 0);
+            loadDeck(incoming, stream);
+
+            return new Promise((resolve, reject) => {
+                const handlePlaying = () => {
+                    pendingCrossfade = null;
+                    startFade(incoming, duration);
+                    resolve();
+                };
+                pendingCrossfade = {
+                    deck: incoming,
+                    fail(error) {
+                        pendingCrossfade = null;
+                        incoming.element.removeEventListener('playing', handlePlaying);
+                        unloadDeck(incoming);
+                        reject(error);
+                    }
+                };
+                incoming.element.addEventListener('playing', handlePlaying, { once: true });
+                incoming.element.play().catch(error => {
+                    if (pendingCrossfade && pendingCrossfade.deck === incoming) pendingCrossfade.fail(error);
+                });
+            });
+        },
+
+        pause() {
+            cancelCrossfade();
+            activeDeck.element.pause();
+        },
+
+        stop() {
+            cancelCrossfade();
+            activeDeck.element.pause();
+            destroyHlsPlayer(activeDeck); // Stop fetching HLS segments
+        },
+
+        getPosition() {
+            return activeDeck.element.currentTime;
+        },
+
+        /**
+         * Seconds buffered ahead of the playhead (null before anything is buffered).
+         */
+        getBufferedAhead() {
+            const element = activeDeck.element;
+            if (element.buffered.length === 0) return null;
+            return element.buffered.end(element.buffered.length - 1) - element.currentTime;
+        }
+    };
+}
+
+/**
+ * Reflects the player core's playback state in the UI (icons, spinner,
+ * reconnect overlay, visualizer) and cleans up when playback stops.
+ */
+function handlePlayerStateChange({ state, previousState }) {
+    const isActive = state !== 'stopped';
+    playIcon.style.display = isActive ? 'none' : 'block';
+    pauseIcon.style.display = isActive ? 'block' : 'none';
+    shareTabPlayback();
+    handleRemotePlayback({ playback: tabSync.getRemotePlayback() });
+    loadingSpinner.style.display = state === 'loading' || state === 'buffering' ? 'block' : 'none';
+    if (state !== 'reconnecting') {
+        hideReconnecting();
+    }
+    if (isActive && isMediaSessionCleared) {
+        isMediaSessionCleared = false;
+        if (currentSong) updateMediaSession(currentSong, currentStation);
+    }
+    if ('mediaSession' in navigator) {
+        // Keep the metadata when stopped, so the lock screen can resume playback (not after the sleep timer)
+        navigator.mediaSession.playbackState = isActive ? 'playing' : isMediaSessionCleared ? 'none' : 'paused';
+    }
+
+    if (state === 'playing' && !listeningSession && playerCore.getCurrentStation()) {
+        startListeningSession(playerCore.getCurrentStation());
+    }
+
+    if (state === 'playing' && previousState !== 'buffering') {
+        // Start peak sampling and the visualizer drawing loop
+        startPeakSampling();
+        if (!animationFrameId) drawVisualizer();
+        return;
+    }
+
+    if (state === 'reconnecting' || state === 'stopped') {
+        // Pause the visualizer until the stream is back
+        stopPeakSampling();
+        if (animationFrameId) {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
+        }
+        drawCenterLine();
+    }
+
+    if (state === 'stopped') {
+        // A stop cancels a crossfade that was still buffering
+        markPendingStation(null);
+        endListeningSession();
+
+        // A stop during the sleep fade ends the timer (and restores the volume)
+        if (isSleepFading) {
+            cancelSleepTimer();
+        }
+
+        // Finalize the current recording file
+        stopRecording();
+    }
+}
+
+/**
+ * Shows player core errors (stream, autoplay, audiocontext) in place of the song title.
+ * A stream that gave up because the server is unreachable switches to the offline screen.
+ */
+async function handlePlayerError({ code }) {
+    songTitle.textContent = t(`errors.${code}`);
+    announce(t(`errors.${code}`));
+
+    if (code === 'stream' && !(await isApiReachable())) {
+        resumeAfterOffline = true;
+        showOfflineScreen();
+    }
+}
+
+// --- Offline Screen ---
+
+/**
+ * Checks the API directly (no-store requests bypass the service worker cache).
+ * @returns {Promise<boolean>} True if the API answered.
+ */
+async function isApiReachable() {
+    if (!navigator.onLine) return false;
+    const results = await Promise.all(playerCore.getApiServers().map(async server => {
+        try {
+            const response = await fetch(`${server}/api/nowplaying`, { cache: 'no-store' });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }));
+    return results.includes(true);
+}
+
+/**
+ * Shows the offline screen and keeps checking the connection in the background.
+ * Playback stops (instead of burning reconnect attempts) and resumes on recovery.
+ */
+function showOfflineScreen() {
+    if (offlineScreen.style.display !== 'none') return;
+
+    if (playerCore.isPlaying()) {
+        resumeAfterOffline = true;
+        playerCore.stop();
+    }
+    offlineStatus.textContent = t('offline.retrying');
+    offlineScreen.style.display = 'flex';
+    announce(t('offline.title'));
+    offlineRetryIntervalId = setInterval(retryConnection, OFFLINE_RETRY_INTERVAL);
+}
+
+/**
+ * Hides the offline screen and stops the connectivity checks.
+ */
+function hideOfflineScreen() {
+    clearInterval(offlineRetryIntervalId);
+    offlineRetryIntervalId = null;
+    offlineScreen.style.display = 'none';
+}
+
+/**
+ * Checks the connection and, once it is back, reloads the data and resumes playback.
+ */
+async function retryConnection() {
+    if (isCheckingConnection || offlineScreen.style.display === 'none') return;
+    isCheckingConnection = true;
+    offlineStatus.textContent = t('offline.checking');
+
+    const reachable = await isApiReachable();
+    isCheckingConnection = false;
+    if (!reachable) {
+        offlineStatus.textContent = t('offline.retrying');
+        return;
+    }
+
+    hideOfflineScreen();
+    if (!stationsLoaded) {
+        await startPlayer();
+    } else {
+        await playerCore.loadStations();
+        updateNowPlayingSource();
+        playerCore.refreshNowPlaying();
+    }
+    if (resumeAfterOffline) {
+        resumeAfterOffline = false;
+        playerCore.play();
+    }
+}
+
+// --- Service Worker ---
+
+/**
+ * Registers the service worker and offers a reload when a new version is installed.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // Only reload for an update the user accepted (the first install also changes the controller)
+        if (!isReloadingForUpdate) return;
+        window.location.reload();
+    });
+
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
+        });
+    }).catch(error => {
+        console.error("Service worker registration failed:", error);
+    });
+}
+
+/**
+ * Handles messages from the service worker: 'api-offline' (the station list came from the cache)
+ * and 'notification-action' (a button of a track notification was clicked).
+ */
+function handleServiceWorkerMessage(event) {
+    if (event.data?.type === 'api-offline') {
+        showOfflineScreen();
+    } else if (event.data?.type === 'notification-action') {
+        handleNotificationAction(event.data.action, event.data.data);
+    }
+}
+
+/**
+ * Shows the "new version" banner for an installed service worker.
+ */
+function showUpdateBanner(worker) {
+    waitingServiceWorker = worker;
+    updateBanner.style.display = 'flex';
+}
+
+/**
+ * Activates the waiting service worker; the page reloads on the controller change.
+ */
+function applyUpdate() {
+    if (!waitingServiceWorker) return;
+    isReloadingForUpdate = true;
+    updateBanner.style.display = 'none';
+    waitingServiceWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Creates station buttons based on the available list.
+ */
+function createStationButtons() {
+    const stations = playerCore.getStations();
+    stationsPlaceholder.style.display = 'none';
+    stationsContainer.innerHTML = '';
+
+    stations.forEach(station => {
+        const button = document.createElement('button');
+        button.id = `station-btn-${station.shortcode}`;
+        // Tailwind classes for styling
+        button.className = 'station-btn station-card bg-gray-700 text-gray-300 px-3 py-2 rounded-lg text-sm font-medium hover:bg-gray-600 transition duration-150 ease-in-out border border-transparent';
+        button.setAttribute('role', 'radio');
+        button.setAttribute('aria-checked', 'false');
+        button.tabIndex = -1;
+        button.dataset.shortcode = station.shortcode;
+        button.addEventListener('click', () => switchStation(station.shortcode));
+
+        stationsContainer.appendChild(button);
+        renderStationCard(station);
+    });
+    applyStationFilters();
+
+    if (stations.length > 0) {
+        // Keep the current station on a reload (servers changed), else select the linked
+        // (or last used, else first) station if it is online, but don't start playing
+        const currentStation = playerCore.getCurrentStation();
+        const candidates = [
+            currentStation && findStation(currentStation.shortcode),
+            findStation(getStationFromUrl()),
+            findStation(loadSetting(STORAGE_KEYS.lastStation, null)),
+            ...stations
+        ];
+        const initialStation = candidates.find(station => station && station.isOnline) || stations[0];
+        if (initialStation === currentStation) {
+            updateStationButtons();
+        } else {
+            playerCore.selectStation(initialStation.shortcode);
+            updateStationUrl(initialStation.shortcode, true);
+        }
+    } else {
+        stationsPlaceholder.style.display = 'block';
+        stationsPlaceholder.dataset.i18n = 'stations.none';
+        stationsPlaceholder.textContent = t('stations.none');
+    }
+}
+
+/**
+ * Fills a station card: name, LIVE badge and DJ, description, current track and listeners.
+ * Offline stations are greyed out and disabled.
+ */
+function renderStationCard(station) {
+    const button = document.getElementById(`station-btn-${station.shortcode}`);
+    if (!button) return;
+    button.innerHTML = '';
+
+    const header = document.createElement('span');
+    header.className = 'station-card-header';
+    const name = document.createElement('span');
+    name.textContent = getStationDisplayName(station.originalName);
+    header.appendChild(name);
+    if (!station.isOnline || station.live.isLive) {
+        const badge = document.createElement('span');
+        badge.className = `station-badge ${station.isOnline ? 'live' : 'offline'}`;
+        badge.textContent = station.isOnline ? t('stations.live') : t('stations.offline');
+        header.appendChild(badge);
+    }
+    button.appendChild(header);
+
+    const addLine = (className, text) => {
+        if (!text) return;
+        const line = document.createElement('span');
+        line.className = className;
+        line.textContent = text;
+        button.appendChild(line);
+    };
+    if (station.live.isLive && station.live.streamerName) {
+        addLine('station-card-dj', t('stations.dj', { name: station.live.streamerName }));
+    }
+    addLine('station-card-description', station.description);
+    if (station.isOnline && station.song) {
+        addLine('station-card-track', [station.song.artist, station.song.title].filter(Boolean).join(' – '));
+    }
+    if (station.isOnline) {
+        addLine('station-card-listeners', t('stations.listeners', { count: formatNumber(station.listeners, { useGrouping: true }) }));
+    }
+
+    button.disabled = !station.isOnline && station.shortcode !== currentStationShortcode;
+    button.classList.toggle('station-offline', !station.isOnline);
+}
+
+/**
+ * Sorts the station cards and hides the ones that don't match the search.
+ */
+function applyStationFilters() {
+    const query = stationSearchInput.value.trim().toLowerCase();
+    const sort = stationSortSelect.value;
+    const collator = new Intl.Collator(LOCALES[getLocale()].intl);
+    const stations = [...playerCore.getStations()];
+    const servers = playerCore.getApiServers();
+
+    if (sort === 'name') {
+        stations.sort((a, b) => collator.compare(getStationDisplayName(a.originalName), getStationDisplayName(b.originalName)));
+    } else if (sort === 'listeners') {
+        stations.sort((a, b) => b.listeners - a.listeners);
+    }
+
+    // With several servers, the stations are grouped by server (sorted within each group)
+    const isGrouped = servers.length > 1;
+    if (isGrouped) {
+        stations.sort((a, b) => servers.indexOf(a.source) - servers.indexOf(b.source));
+    }
+    stationsContainer.querySelectorAll('.station-group-title').forEach(title => title.remove());
+    let groupTitle = null;
+
+    let visibleCount = 0;
+    stations.forEach(station => {
+        const button = document.getElementById(`station-btn-${station.shortcode}`);
+        if (!button) return;
+
+        if (isGrouped && groupTitle?.dataset.source !== station.source) {
+            groupTitle = document.createElement('p');
+            groupTitle.className = 'station-group-title';
+            groupTitle.dataset.source = station.source;
+            groupTitle.textContent = getServerLabel(station.source);
+            groupTitle.hidden = true; // Shown once a station of the group is visible
+            stationsContainer.appendChild(groupTitle);
+        }
+
+        const searchable = [
+            getStationDisplayName(station.originalName),
+            station.originalName,
+            station.description,
+            station.live.streamerName,
+            station.song?.title,
+            station.song?.artist
+        ];
+        button.hidden = Boolean(query) && !searchable.some(value => (value || '').toLowerCase().includes(query));
+        if (!button.hidden) {
+            visibleCount++;
+            if (groupTitle) groupTitle.hidden = false;
+        }
+
+        // Re-appending keeps the DOM (and keyboard) order in sync with the sort
+        stationsContainer.appendChild(button);
+    });
+    stationsNoMatch.style.display = stations.length > 0 && visibleCount === 0 ? 'block' : 'none';
+}
+
+/**
+ * Saves the station sort order and re-sorts the cards.
+ */
+function handleStationSortChange() {
+    saveSetting(STORAGE_KEYS.stationSort, stationSortSelect.value);
+    applyStationFilters();
+}
+
+/**
+ * Updates a station card when the player core reports new status.
+ */
+function handleStationUpdate({ station }) {
+    renderStationCard(station);
+    if (stationSearchInput.value.trim() || stationSortSelect.value === 'listeners') {
+        applyStationFilters();
+    }
+}
+
+/**
+ * Returns the selectable stations in the order shown (sorted, matching the search, online).
+ * @param {boolean} [includeFiltered] - Also return stations hidden by the search.
+ * @returns {Array} Stations.
+ */
+function getListedStations(includeFiltered = false) {
+    return Array.from(stationsContainer.querySelectorAll('.station-btn'))
+        .filter(button => (includeFiltered || !button.hidden) && !button.classList.contains('station-offline'))
+        .map(button => playerCore.getStations().find(s => s.shortcode === button.dataset.shortcode))
+        .filter(Boolean);
+}
+
+/**
+ * Fills the language selector (each language labelled in itself).
+ */
+function createLanguageOptions() {
+    Object.entries(LOCALES).forEach(([code, locale]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = locale.label;
+        languageSelect.appendChild(option);
+    });
+    languageSelect.value = getLocale();
+}
+
+/**
+ * Switches the UI language (text, direction and numerals) and re-renders the dynamic parts.
+ */
+function handleLanguageChange() {
+    if (!setLocale(languageSelect.value)) return;
+    saveSetting(STORAGE_KEYS.locale, languageSelect.value);
+
+    playerCore.getStations().forEach(renderStationCard);
+    applyStationFilters();
+    if (lastNowPlaying) {
+        renderNowPlaying({ ...lastNowPlaying, isNewTrack: false });
+    } else {
+        updateProgress(0, 0);
+    }
+    updateVisualizerModeButton();
+    updateQualitySelect();
+    updateQualityStatus();
+    updateLatencyEstimateText();
+    updateNotificationSettings();
+    renderNotificationStations();
+    renderServers();
+    renderRecordings();
+    if (libraryPanel.style.display !== 'none') renderLibrary();
+    if (statsPanel.style.display !== 'none') renderStats();
+    handleRemotePlayback({ playback: tabSync.getRemotePlayback() });
+    if (requestsPanel.style.display !== 'none') {
+        requestsStationEl.textContent = getStationDisplayName(playerCore.getCurrentStation().originalName);
+        showRequestStatus(null);
+        loadRequestableSongs();
+    }
+}
+
+/**
+ * Switches the station from the UI and records it in the browser history.
+ * @param {string} shortcode - Station shortcode.
+ */
+function switchStation(shortcode) {
+    if (!playerCore.selectStation(shortcode)) return;
+    updateStationUrl(shortcode, false);
+
+    // While another tab plays, switch that tab's station too
+    if (playerCore.getState() === 'stopped') {
+        tabSync.sendCommand('select', { shortcode });
+    }
+}
+
+/**
+ * Finds a station by shortcode or original (API) name, ignoring case.
+ * @param {string|null} value - Shortcode or name from a link or storage.
+ * @returns {object|null} Station, or null if there is no match.
+ */
+function findStation(value) {
+    if (!value) return null;
+    const wanted = value.toLowerCase();
+    return playerCore.getStations().find(s => s.shortcode.toLowerCase() === wanted || s.originalName.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Reads the station from the address bar (?station=, or #station= as a hash route).
+ * @returns {string|null} Station shortcode or name.
+ */
+function getStationFromUrl() {
+    const hashParams = new URLSearchParams(window.location.hash.slice(1));
+    return new URLSearchParams(window.location.search).get(STATION_URL_PARAM) || hashParams.get(STATION_URL_PARAM);
+}
+
+/**
+ * Puts the station into the address bar (keeping other parameters).
+ * @param {string} shortcode - Station shortcode.
+ * @param {boolean} replace - Replace the current entry instead of adding one (page load).
+ */
+function updateStationUrl(shortcode, replace) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(STATION_URL_PARAM, shortcode);
+    url.hash = '';
+
+    if (replace) {
+        history.replaceState({ station: shortcode }, '', url);
+    } else if (history.state?.station !== shortcode) {
+        history.pushState({ station: shortcode }, '', url);
+    }
+}
+
+/**
+ * Back/forward: switches to the station of the history entry (playback continues if it was playing).
+ */
+function handleHistoryNavigation(event) {
+    const station = findStation(event.state?.station || getStationFromUrl());
+    if (station && station.shortcode !== currentStationShortcode) {
+        playerCore.selectStation(station.shortcode);
+    }
+}
+
+/**
+ * With ?autoplay=1, starts playback on the first click or key press anywhere on the page
+ * (browsers only allow audio after a user interaction).
+ */
+function armAutoplayOnInteraction() {
+    const flag = new URLSearchParams(window.location.search).get(AUTOPLAY_URL_PARAM);
+    if (flag !== '1' && flag !== 'true') return;
+
+    const startOnInteraction = (event) => {
+        document.removeEventListener('click', startOnInteraction, true);
+        document.removeEventListener('keydown', startOnInteraction, true);
+
+        // The play button and the play/pause shortcut toggle by themselves
+        if (playPauseBtn.contains(event.target) || getShortcutAction(event) === 'playPause') return;
+
+        // Play once the interaction was handled, so a station button or shortcut picks the station first
+        setTimeout(() => {
+            if (playerCore.getState() === 'stopped') playerCore.play();
+        }, 0);
+    };
+    document.addEventListener('click', startOnInteraction, true);
+    document.addEventListener('keydown', startOnInteraction, true);
+}
+
+// --- AzuraCast Servers ---
+
+/**
+ * Returns a short label for a server (its host; the page's host for a relative base URL).
+ */
+function getServerLabel(server) {
+    try {
+        return new URL(server || window.location.href).host;
+    } catch (error) {
+        return server;
+    }
+}
+
+/**
+ * Shows a message below the server list.
+ * @param {string} message - Text ('' hides it).
+ * @param {boolean} [isError] - Show it as an error.
+ */
+function showServersStatus(message, isError = false) {
+    serversStatus.textContent = message;
+    serversStatus.classList.toggle('text-red-400', isError);
+}
+
+/**
+ * Lists the servers: the built-in one first, then the added ones with a remove button.
+ */
+function renderServers() {
+    serversList.innerHTML = '';
+
+    [API_SERVER, ...extraServers].forEach(server => {
+        const item = document.createElement('li');
+        item.className = 'server-row';
+
+        const label = document.createElement('span');
+        label.className = 'truncate';
+        label.dir = 'ltr';
+        label.textContent = getServerLabel(server);
+        label.title = server || window.location.origin;
+        item.appendChild(label);
+
+        if (server === API_SERVER) {
+            const badge = document.createElement('span');
+            badge.className = 'text-xs text-gray-500';
+            badge.textContent = t('servers.default');
+            item.appendChild(badge);
+        } else {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'text-gray-500 hover:text-red-400';
+            removeBtn.textContent = '✕';
+            removeBtn.setAttribute('aria-label', t('servers.remove', { server: getServerLabel(server) }));
+            removeBtn.addEventListener('click', () => removeServer(server));
+            item.appendChild(removeBtn);
+        }
+        serversList.appendChild(item);
+    });
+}
+
+/**
+ * Saves the server list and reloads the merged station list.
+ */
+async function applyServers() {
+    saveSetting(STORAGE_KEYS.apiServers, extraServers);
+    playerCore.setApiServers([API_SERVER, ...extraServers]);
+    renderServers();
+
+    if (await playerCore.loadStations()) {
+        createStationButtons();
+        renderNotificationStations();
+    }
+    updateNowPlayingSource();
+}
+
+/**
+ * Validates a server from the settings form and adds it.
+ */
+async function handleAddServer(event) {
+    event.preventDefault();
+    const server = normalizeServerUrl(serverUrlInput.value);
+
+    if (!server) {
+        showServersStatus(t('servers.invalidUrl'), true);
+        return;
+    }
+    if (server === API_SERVER || extraServers.includes(server)) {
+        showServersStatus(t('servers.duplicate'), true);
+        return;
+    }
+
+    addServerBtn.disabled = true;
+    showServersStatus(t('servers.checking'));
+    const result = await playerCore.checkApiServer(server);
+    addServerBtn.disabled = false;
+
+    if (!result.ok) {
+        showServersStatus(t(`servers.${result.code}`), true);
+        return;
+    }
+
+    extraServers.push(server);
+    serverUrlInput.value = '';
+    showServersStatus(t('servers.added', { count: formatNumber(result.stationCount) }));
+    await applyServers();
+}
+
+/**
+ * Removes an added server and its stations.
+ */
+async function removeServer(server) {
+    extraServers = extraServers.filter(s => s !== server);
+    showServersStatus('');
+    await applyServers();
+}
+
+/**
+ * Downloads the added servers as JSON ({ servers: [...] }, the import format).
+ */
+function exportServers() {
+    downloadFile(JSON.stringify({ servers: extraServers }, null, 2), 'beep-servers.json', 'application/json');
+}
+
+/**
+ * Imports servers from a JSON file ({ servers: [...] } or a plain array of URLs).
+ * Each new server is validated; invalid or unreachable ones are skipped.
+ */
+async function importServers(file) {
+    let servers;
+    try {
+        const config = JSON.parse((await file.text()).replace(/^\uFEFF/, ''));
+        servers = Array.isArray(config) ? config : config.servers;
+        if (!Array.isArray(servers)) throw new Error('Expected a list of servers');
+    } catch (error) {
+        console.error("Error importing servers:", error);
+        showServersStatus(t('servers.importError'), true);
+        importServersInput.value = '';
+        return;
+    }
+    importServersInput.value = '';
+
+    const candidates = servers
+        .map(normalizeServerUrl)
+        .filter((server, i, list) => server && server !== API_SERVER && !extraServers.includes(server) && list.indexOf(server) === i);
+
+    showServersStatus(t('servers.checking'));
+    const results = await Promise.all(candidates.map(server => playerCore.checkApiServer(server)));
+    const added = candidates.filter((server, i) => results[i].ok);
+    extraServers.push(...added);
+
+    showServersStatus(t('servers.imported', {
+        added: formatNumber(added.length),
+        skipped: formatNumber(servers.length - added.length)
+    }));
+    if (added.length > 0) await applyServers();
+}
+
+// --- Cross-Tab Coordination ---
+
+/**
+ * Keeps our own now playing subscription in the leader tab; the other tabs use the data it shares.
+ */
+function updateNowPlayingSource() {
+    if (!stationsLoaded) return;
+    if (tabSync.isLeader()) {
+        playerCore.startNowPlayingUpdates();
+    } else {
+        playerCore.useSharedNowPlaying();
+    }
+}
+
+/**
+ * Tells the other tabs whether (and what) this tab plays; they stop playing when it starts.
+ */
+function shareTabPlayback() {
+    const state = playerCore.getState();
+    tabSync.setPlayback(state === 'stopped' ? null : { state, shortcode: currentStationShortcode });
+}
+
+/**
+ * Shows another tab's playback and follows its station while this tab is stopped
+ * (playing here stops the other tab; its stop button stops it from here).
+ * @param {object|null} playback - { tabId, state, shortcode }, or null when no other tab plays.
+ */
+function handleRemotePlayback({ playback }) {
+    const isRemoteControl = Boolean(playback) && playerCore.getState() === 'stopped';
+    const station = playback && playerCore.getStations().find(s => s.shortcode === playback.shortcode);
+
+    remotePlaybackEl.style.display = isRemoteControl ? 'flex' : 'none';
+    remotePlaybackText.textContent = isRemoteControl
+        ? t('remote.playing', { station: station ? getStationDisplayName(station.originalName) : playback.shortcode })
+        : '';
+
+    if (isRemoteControl && station && station.shortcode !== currentStationShortcode) {
+        playerCore.selectStation(station.shortcode);
+        updateStationUrl(station.shortcode, true);
+    }
+}
+
+/**
+ * Runs a remote control command from another tab.
+ */
+function handleTabCommand({ command, shortcode }) {
+    if (command === 'stop') {
+        playerCore.stop();
+    } else if (command === 'select' && shortcode) {
+        switchStation(shortcode);
+    }
+}
+
+// --- Track Notifications ---
+
+/**
+ * Shows the notification settings (toggle, permission status and the station list).
+ */
+function updateNotificationSettings() {
+    const supported = 'Notification' in window;
+    const denied = supported && Notification.permission === 'denied';
+
+    notificationsToggle.disabled = !supported || denied;
+    notificationsToggle.checked = supported && !denied && notificationSettings.enabled;
+    notificationsStatus.textContent = !supported ? t('notifications.unsupported') : denied ? t('notifications.denied') : '';
+    notificationStationsFieldset.style.display = notificationsToggle.checked ? 'block' : 'none';
+}
+
+/**
+ * Builds a checkbox per station for choosing which stations notify.
+ */
+function renderNotificationStations() {
+    notificationStationsList.innerHTML = '';
+    playerCore.getStations().forEach(station => {
+        const label = document.createElement('label');
+        label.className = 'flex items-center gap-2 cursor-pointer';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'accent-[#2ea043]';
+        checkbox.checked = !notificationSettings.mutedStations.includes(station.shortcode);
+        checkbox.addEventListener('change', () => {
+            const muted = new Set(notificationSettings.mutedStations);
+            if (checkbox.checked) muted.delete(station.shortcode);
+            else muted.add(station.shortcode);
+            notificationSettings.mutedStations = [...muted];
+            saveSetting(STORAGE_KEYS.notifications, notificationSettings);
+        });
+
+        const name = document.createElement('span');
+        name.textContent = getStationDisplayName(station.originalName);
+
+        label.append(checkbox, name);
+        notificationStationsList.appendChild(label);
+    });
+}
+
+/**
+ * Turns track notifications on/off (asks for permission when turning them on).
+ */
+async function handleNotificationsToggle() {
+    if (notificationsToggle.checked && Notification.permission !== 'granted') {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            notificationsToggle.checked = false;
+        }
+    }
+    notificationSettings.enabled = notificationsToggle.checked;
+    saveSetting(STORAGE_KEYS.notifications, notificationSettings);
+    updateNotificationSettings();
+}
+
+/**
+ * Notifies about a new track while the player is in the background.
+ * Uses the service worker (which supports action buttons) when available.
+ */
+async function notifyTrackChange(song, station) {
+    if (!notificationSettings.enabled || !('Notification' in window) || Notification.permission !== 'granted') return;
+    if (notificationSettings.mutedStations.includes(station.shortcode) || !playerCore.isPlaying()) return;
+    if (document.visibilityState === 'visible' && document.hasFocus()) return;
+
+    // The periodic refresh and station switches can report the same track again
+    const notifiedKey = `${station.shortcode}:${getSongKey(song)}`;
+    if (notifiedKey === lastNotifiedKey) return;
+    lastNotifiedKey = notifiedKey;
+
+    const stationName = getStationDisplayName(station.name);
+    const title = song.title || t('track.untitled');
+    const options = {
+        body: t('notifications.body', { artist: song.artist || t('track.unknownArtist'), station: stationName }),
+        icon: song.art || './favicon.png',
+        badge: './favicon.png',
+        tag: NOTIFICATION_TAG,
+        lang: getLocale(),
+        dir: LOCALES[getLocale()].dir,
+        data: { song, station: { name: station.name, shortcode: station.shortcode } }
+    };
+
+    try {
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, {
+                ...options,
+                actions: [
+                    { action: 'like', title: t('notifications.like') },
+                    { action: 'next-station', title: t('notifications.nextStation') }
+                ]
+            });
+        } else {
+            // Page notifications have no action buttons
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        }
+    } catch (error) {
+        console.error("Error showing notification:", error);
+    }
+}
+
+/**
+ * Runs a notification action: like the notified song, or switch to the next station.
+ */
+function handleNotificationAction(action, data) {
+    if (action === 'like' && data?.song && data?.station) {
+        likeSong(data.song, data.station);
+    } else if (action === 'next-station') {
+        selectAdjacentStation(1);
+    }
+}
+
+// --- Keyboard Shortcuts & Screen Readers ---
+
+/**
+ * Announces a message through the ARIA live region.
+ */
+function announce(message) {
+    // Clear first so repeating the same message is announced again
+    liveAnnouncer.textContent = '';
+    setTimeout(() => {
+        liveAnnouncer.textContent = message;
+    }, 50);
+}
+
+/**
+ * Returns true while a modal panel (library, shortcuts help, offline screen) is open.
+ */
+function isDialogOpen() {
+    return [libraryPanel, requestsPanel, statsPanel, shortcutsPanel, offlineScreen].some(panel => panel.style.display !== 'none');
+}
+
+/**
+ * Handles the global keyboard shortcuts.
+ */
+function handleGlobalKeydown(event) {
+    if (event.key === 'Escape') {
+        if (shortcutsPanel.style.display !== 'none') closeShortcutsHelp();
+        else if (libraryPanel.style.display !== 'none') closeLibrary();
+        else if (requestsPanel.style.display !== 'none') closeRequests();
+        else if (statsPanel.style.display !== 'none') closeStats();
+        return;
+    }
+    if (isDialogOpen()) return;
+
+    const action = getShortcutAction(event);
+    if (!action) return;
+    event.preventDefault();
+
+    if (action === 'playPause') {
+        playerCore.toggle();
+    } else if (action === 'previousStation' || action === 'nextStation') {
+        selectAdjacentStation(action === 'nextStation' ? 1 : -1);
+    } else if (action.startsWith('station:')) {
+        const buttons = Array.from(stationsContainer.querySelectorAll('.station-btn'));
+        const shortcode = getNumberedStationShortcode(buttons, Number(action.split(':')[1]));
+        if (shortcode) switchStation(shortcode);
+    } else if (action === 'mute') {
+        toggleMute();
+    } else if (action === 'help') {
+        openShortcutsHelp();
+    }
+}
+
+/**
+ * Switches to the previous/next listed station (wrapping around, skipping offline ones).
+ * @param {number} offset - -1 or 1.
+ * @param {boolean} [moveFocus] - Focus the new station's radio button.
+ * @param {Array} [stations] - Stations to cycle through (defaults to the listed ones).
+ */
+function selectAdjacentStation(offset, moveFocus = false, stations = getListedStations()) {
+    if (stations.length === 0) return;
+
+    const index = stations.findIndex(s => s.shortcode === currentStationShortcode);
+    const next = index === -1
+        ? stations[offset > 0 ? 0 : stations.length - 1]
+        : stations[(index + offset + stations.length) % stations.length];
+    switchStation(next.shortcode);
+    if (moveFocus) document.getElementById(`station-btn-${next.shortcode}`)?.focus();
+}
+
+/**
+ * Radiogroup keyboard pattern for the station buttons: arrows move and select, Home/End jump.
+ */
+function handleStationKeydown(event) {
+    const isRtl = document.documentElement.dir === 'rtl';
+    const offsets = {
+        ArrowDown: 1,
+        ArrowUp: -1,
+        ArrowRight: isRtl ? -1 : 1,
+        ArrowLeft: isRtl ? 1 : -1
+    };
+    const stations = getListedStations();
+
+    if (event.key in offsets) {
+        selectAdjacentStation(offsets[event.key], true);
+    } else if ((event.key === 'Home' || event.key === 'End') && stations.length > 0) {
+        const station = event.key === 'Home' ? stations[0] : stations[stations.length - 1];
+        switchStation(station.shortcode);
+        document.getElementById(`station-btn-${station.shortcode}`)?.focus();
+    } else {
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+}
+
+/**
+ * Opens the keyboard shortcuts help.
+ */
+function openShortcutsHelp() {
+    focusBeforeShortcuts = document.activeElement;
+    shortcutsPanel.style.display = 'flex';
+    closeShortcutsBtn.focus();
+}
+
+/**
+ * Closes the keyboard shortcuts help and restores the focus.
+ */
+function closeShortcutsHelp() {
+    shortcutsPanel.style.display = 'none';
+    focusBeforeShortcuts?.focus?.();
+    focusBeforeShortcuts = null;
+}
+
+// --- Player Core ---
+const playerCore = createPlayerCore({
+    apiServers: [API_SERVER, ...extraServers],
+    audio: createAudioOutput(),
+    hlsSupported: canPlayHls(),
+    latencyOverrides: loadSetting(STORAGE_KEYS.latencyOverrides, {}), // Manual seconds per station shortcode
+    serverDelays: loadSetting(STORAGE_KEYS.serverDelays, {}), // Measured played_at -> Icecast output delay per station
+    streamPreferences: loadSetting(STORAGE_KEYS.streamPreferences, {}), // Stream id per station shortcode
+    crossfadeDuration: crossfadeSeconds
+});
+
+const tabSync = createTabSync();
+const library = createLibrary();
+tabSync.on('leaderchange', updateNowPlayingSource);
+tabSync.on('stationdata', ({ stationData }) => playerCore.applySharedStationData(stationData));
+tabSync.on('remoteplayback', handleRemotePlayback);
+tabSync.on('stop', () => playerCore.stop()); // Another tab started playing
+tabSync.on('command', handleTabCommand);
+
+playerCore.on('statechange', handlePlayerStateChange);
+playerCore.on('stationdata', ({ stationData }) => tabSync.shareStationData(stationData));
+playerCore.on('reconnecting', showReconnecting);
+playerCore.on('error', handlePlayerError);
+playerCore.on('nowplaying', renderNowPlaying);
+playerCore.on('progress', ({ elapsed, duration }) => {
+    updateProgress(elapsed, duration);
+    updateMediaPositionState(elapsed, duration);
+    updateLatencyEstimateText();
+});
+playerCore.on('stationupdate', handleStationUpdate);
+playerCore.on('crossfadestart', ({ station }) => markPendingStation(station.shortcode));
+playerCore.on('stationchange', ({ station }) => {
+    currentStationShortcode = station.shortcode;
+    markPendingStation(null);
+    shareTabPlayback();
+    // A station change while playing starts a new listening session
+    if (listeningSession && listeningSession.record.station !== station.shortcode) {
+        endListeningSession();
+        startListeningSession(station);
+    }
+    saveSetting(STORAGE_KEYS.lastStation, station.shortcode);
+    updateStationButtons();
+    updateLatencySettings();
+    applyAudioProfile();
+    updateRequestsButton();
+});
+playerCore.on('streamchange', ({ preferences }) => {
+    downgradedStream = null;
+    updateQualitySelect();
+    updateQualityStatus();
+    saveSetting(STORAGE_KEYS.streamPreferences, preferences);
+});
+playerCore.on('qualitychange', ({ stream }) => {
+    downgradedStream = stream;
+    updateQualityStatus();
+    announce(qualityStatus.textContent);
+});
+playerCore.on('latencychange', ({ overrides, serverDelays }) => {
+    saveSetting(STORAGE_KEYS.latencyOverrides, overrides);
+    saveSetting(STORAGE_KEYS.serverDelays, serverDelays);
+});
+
+// --- Event Listeners ---
+playPauseBtn.addEventListener('click', () => playerCore.toggle());
+remoteStopBtn.addEventListener('click', () => tabSync.sendCommand('stop'));
+volumeSlider.addEventListener('input', () => setVolume(parseFloat(volumeSlider.value)));
+muteBtn.addEventListener('click', toggleMute);
+likeBtn.addEventListener('click', toggleLikeCurrentSong);
+recordBtn.addEventListener('click', toggleRecording);
+openLibraryBtn.addEventListener('click', openLibrary);
+closeLibraryBtn.addEventListener('click', closeLibrary);
+openStatsBtn.addEventListener('click', openStats);
+closeStatsBtn.addEventListener('click', closeStats);
+statsFromInput.addEventListener('change', renderStats);
+statsToInput.addEventListener('change', renderStats);
+clearStatsBtn.addEventListener('click', clearStats);
+window.addEventListener('pagehide', () => saveListeningSession());
+window.addEventListener('pagehide', () => tabSync.destroy());
+window.addEventListener('pageshow', (event) => {
+    // Restored from the back/forward cache: rejoin the other tabs
+    if (!event.persisted) return;
+    tabSync.start();
+    shareTabPlayback();
+});
+openRequestsBtn.addEventListener('click', openRequests);
+closeRequestsBtn.addEventListener('click', closeRequests);
+requestsSearchInput.addEventListener('input', handleRequestsSearch);
+requestsPrevBtn.addEventListener('click', () => changeRequestsPage(-1));
+requestsNextBtn.addEventListener('click', () => changeRequestsPage(1));
+librarySearchInput.addEventListener('input', renderLibrary);
+exportCsvBtn.addEventListener('click', () => exportLibrary('csv'));
+exportJsonBtn.addEventListener('click', () => exportLibrary('json'));
+importLibraryInput.addEventListener('change', () => {
+    if (importLibraryInput.files.length > 0) importLibrary(importLibraryInput.files[0]);
+});
+visualizerModeBtn.addEventListener('click', cycleVisualizerMode);
+latencyOverrideInput.addEventListener('change', handleLatencyOverrideChange);
+qualitySelect.addEventListener('change', handleQualityChange);
+eqPresetSelect.addEventListener('change', handleEqPresetChange);
+normalizeToggle.addEventListener('change', handleNormalizeToggle);
+sleepTimerSelect.addEventListener('change', handleSleepTimerChange);
+sleepCustomInput.addEventListener('change', handleSleepCustomChange);
+sleepFadeInput.addEventListener('change', handleSleepFadeChange);
+crossfadeInput.addEventListener('change', handleCrossfadeChange);
+addServerForm.addEventListener('submit', handleAddServer);
+exportServersBtn.addEventListener('click', exportServers);
+importServersInput.addEventListener('change', () => {
+    if (importServersInput.files.length > 0) importServers(importServersInput.files[0]);
+});
+window.addEventListener('popstate', handleHistoryNavigation);
+languageSelect.addEventListener('change', handleLanguageChange);
+stationSearchInput.addEventListener('input', applyStationFilters);
+stationSortSelect.addEventListener('change', handleStationSortChange);
+offlineRetryBtn.addEventListener('click', retryConnection);
+openShortcutsBtn.addEventListener('click', openShortcutsHelp);
+notificationsToggle.addEventListener('change', handleNotificationsToggle);
+closeShortcutsBtn.addEventListener('click', closeShortcutsHelp);
+stationsContainer.addEventListener('keydown', handleStationKeydown);
+document.addEventListener('keydown', handleGlobalKeydown);
+updateReloadBtn.addEventListener('click', applyUpdate);
+window.addEventListener('offline', showOfflineScreen);
+window.addEventListener('online', retryConnection);
+
+/**
+ * Loads the stations and starts the now playing updates.
+ * @returns {Promise<boolean>} False if the station list could not be loaded.
+ */
+async function startPlayer() {
+    if (!(await playerCore.loadStations())) {
+        return false;
+    }
+
+    stationsLoaded = true;
+    createStationButtons();
+    renderNotificationStations();
+    armAutoplayOnInteraction();
+
+    // Subscribe to pushed track changes (polls every 10 seconds as a fallback), or use the leader tab's
+    updateNowPlayingSource();
+    return true;
+}
+
+// --- Main Initialization Function ---
+async function init() {
+    // Open album art in new tab on click
+    albumArt.addEventListener("click", () => { let e = albumArt.src; e && !e.includes("placehold.co") && window.open(e, "_blank") });
+
+    // Restore the saved language (else the browser's, if supported)
+    setLocale(resolveLocale(loadSetting(STORAGE_KEYS.locale, null)) || resolveLocale(navigator.language) || DEFAULT_LOCALE);
+    createLanguageOptions();
+
+    stationsPlaceholder.style.display = 'block';
+    stationsPlaceholder.dataset.i18n = 'stations.loading';
+    stationsPlaceholder.textContent = t('stations.loading');
+
+    // Restore the saved visualizer mode (fall back if it no longer exists)
+    if (!VISUALIZER_MODES[visualizerMode]) visualizerMode = 'history';
+    updateVisualizerModeButton();
+
+    // Size the canvas for this screen and keep it in sync with layout changes
+    resizeVisualizer();
+    if ('ResizeObserver' in window) {
+        new ResizeObserver(resizeVisualizer).observe(visualizerCanvas);
+    } else {
+        window.addEventListener('resize', resizeVisualizer);
+    }
+
+    // Initial draw of the center line (without AudioContext dependency)
+    drawCenterLine();
+    updateProgress(0, 0);
+
+    renderRecordings();
+    createEqualizerControls();
+    applyAudioProfile();
+
+    // Restore persisted volume/mute state
+    updateVolumeControls();
+    sleepFadeInput.value = sleepFadeSeconds;
+    crossfadeInput.value = crossfadeSeconds;
+    renderServers();
+    updateNotificationSettings();
+    stationSortSelect.value = loadSetting(STORAGE_KEYS.stationSort, 'default');
+
+    setupMediaSession();
+    registerServiceWorker();
+    tabSync.start();
+
+    if (await startPlayer()) {
+        // Follow a tab that was already playing
+        handleRemotePlayback({ playback: tabSync.getRemotePlayback() });
+        // Offline start: the stations came from the service worker cache
+        if (!navigator.onLine) showOfflineScreen();
+    } else {
+        songTitle.textContent = t('errors.api');
+        artistName.textContent = '';
+        stationsPlaceholder.dataset.i18n = 'stations.loadError';
+        stationsPlaceholder.textContent = t('stations.loadError');
+        showOfflineScreen();
+    }
+}
+
+// Start the app after DOM is fully loaded
 init();
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * Keyboard shortcuts of the Beeptunes radio player: maps key presses to actions
+ * and number keys to station buttons.
+ *
+ * The functions only read the event and the buttons they get, so they run
+ * under Node with plain objects too.
+ */
+
+// --- Keyboard Shortcuts ---
+const EDITABLE_SELECTOR = 'input, select, textarea, [contenteditable="true"]'; // Keys go to these fields, not to shortcuts
+const ACTIVATABLE_SELECTOR = 'button, a, summary'; // Space activates these natively
+
+/**
+ * Maps a keydown event to a shortcut action (layout independent, so it works with a Persian keyboard).
+ * @param {KeyboardEvent} event - The keydown event.
+ * @param {boolean} [isRtl] - Right-to-left layout (default: the page's direction).
+ * @returns {string|null} 'playPause', 'previousStation', 'nextStation', 'station:<n>', 'mute', 'help' or null.
+ */
+function getShortcutAction(event, isRtl = document.documentElement.dir === 'rtl') {
+    if (event.ctrlKey || event.metaKey || event.altKey || event.target.closest?.(EDITABLE_SELECTOR)) return null;
+
+    // Visual order: in right-to-left layouts the next station is on the left
+    const digit = /^(?:Digit|Numpad)([1-9])$/.exec(event.code || '');
+    if (event.key === '?' || event.key === '؟') return 'help';
+    if (event.code === 'Space' || event.key === ' ') {
+        return event.target.closest?.(ACTIVATABLE_SELECTOR) ? null : 'playPause';
+    }
+    if (event.key === 'ArrowRight') return isRtl ? 'previousStation' : 'nextStation';
+    if (event.key === 'ArrowLeft') return isRtl ? 'nextStation' : 'previousStation';
+    if (digit) return `station:${digit[1]}`;
+    if (event.code === 'KeyM') return 'mute';
+    return null;
+}
+
+/**
+ * Returns the station of a number key: the nth station button shown, in the rendered order.
+ * Buttons hidden by the search count as not shown; offline ones keep their number (and do nothing).
+ * @param {Array<HTMLElement>} buttons - The .station-btn elements in document order.
+ * @param {number} number - Key number (1-9).
+ * @returns {string|null} Station shortcode, or null if there is no such button.
+ */
+function getNumberedStationShortcode(buttons, number) {
+    const button = buttons.filter(b => !b.hidden)[number - 1];
+    return button ? button.dataset.shortcode : null;
+}
+
+// Node (unit tests): export the shortcut mapping
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getShortcutAction, getNumberedStationShortcode };
+}
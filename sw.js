@@ -0,0 +1,244 @@
+/**
+ * Service worker: caches the app shell, the last station list and album art
+ * so the player opens (and shows its offline screen) without a connection.
+ *
+ * Bump CACHE_VERSION when the app shell changes; open pages then offer to reload.
+ */
+
+// --- Cache Settings ---
+const CACHE_VERSION = 'v9';
+const SHELL_CACHE = `beep-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `beep-runtime-${CACHE_VERSION}`; // CDN scripts, styles and fonts
+const API_CACHE = 'beep-api'; // Last station list (kept across versions)
+const ART_CACHE = 'beep-art'; // Album art (kept across versions)
+const CACHES_IN_USE = [SHELL_CACHE, RUNTIME_CACHE, API_CACHE, ART_CACHE];
+const MAX_ART_ENTRIES = 100;
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './style.css',
+    './i18n.js',
+    './player-core.js',
+    './tab-sync.js',
+    './library.js',
+    './shortcuts.js',
+    './script.js',
+    './favicon.png',
+    './manifest.webmanifest'
+];
+
+const RUNTIME_HOSTS = [
+    'cdn.tailwindcss.com',
+    'cdn.jsdelivr.net',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+// AzuraCast can be mounted under a path prefix, so paths are matched by their segments
+const STATION_LIST_SUFFIX = '/api/nowplaying';
+const LIVE_PATH_SEGMENTS = ['/api/', '/listen/', '/hls/']; // API, Icecast mounts and HLS streams
+
+// --- Art State ---
+const nonCorsArtHosts = new Set(); // Art hosts whose CORS fetch failed (until the worker restarts)
+
+// --- Lifecycle ---
+
+self.addEventListener('install', (event) => {
+    // The new version waits until the page asks it to take over (see SKIP_WAITING)
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !CACHES_IN_USE.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// --- Notifications ---
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(handleNotificationClick(event.action, event.notification.data));
+});
+
+/**
+ * Passes a notification action ('like', 'next-station') to the player page,
+ * or focuses (opens) the player for a plain click.
+ */
+async function handleNotificationClick(action, data) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = clients[0];
+    if (!client) {
+        await self.clients.openWindow('./');
+        return;
+    }
+    if (action) {
+        client.postMessage({ type: 'notification-action', action, data });
+    } else {
+        await client.focus();
+    }
+}
+
+// --- Fetch Strategies ---
+
+/**
+ * Serves from the cache, falling back to the network (and caching the response).
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request, { cacheName });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serves album art from the cache, else fetches it in CORS mode and caches it. Opaque
+ * (no-cors) responses are not cached: each counts as several MB against the storage quota.
+ * Hosts without CORS headers are remembered and fetched directly, so each image costs one request.
+ */
+async function cacheArt(request) {
+    const cached = await caches.match(request.url, { cacheName: ART_CACHE });
+    if (cached) return cached;
+
+    const host = new URL(request.url).host;
+    if (nonCorsArtHosts.has(host)) return fetch(request);
+
+    let response;
+    try {
+        response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+    } catch (error) {
+        // No CORS headers, or offline (then the retry fails too and the host is tried again later)
+        const fallback = await fetch(request);
+        nonCorsArtHosts.add(host);
+        return fallback;
+    }
+    if (response.ok) {
+        const cache = await caches.open(ART_CACHE);
+        await cache.put(request.url, response.clone());
+        trimCache(ART_CACHE, MAX_ART_ENTRIES);
+    }
+    return response;
+}
+
+/**
+ * Serves from the network, falling back to the last cached response.
+ * @param {Function} [onFallback] - Called when the cached response is used.
+ */
+async function networkFirst(request, cacheName, onFallback) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { cacheName });
+        if (cached) {
+            if (onFallback) onFallback();
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Tells the open pages that the API is unreachable (they show the offline screen).
+ */
+async function notifyApiOffline() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'api-offline' }));
+}
+
+/**
+ * Serves from the cache while refreshing it in the background.
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const network = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        network.catch(() => {}); // Offline: the cached copy is enough
+        return cached;
+    }
+    return network;
+}
+
+/**
+ * Serves page navigations from the cached shell, so the page always matches the cached scripts
+ * (any ?station= deep link gets the same page).
+ */
+async function handleNavigation(request) {
+    if (isShellFile(new URL(request.url))) {
+        const cached = await caches.match('./index.html', { cacheName: SHELL_CACHE, ignoreSearch: true });
+        if (cached) return cached;
+    }
+    return fetch(request);
+}
+
+/**
+ * Returns true for the precached app shell files (any query string).
+ */
+function isShellFile(url) {
+    return url.origin === self.location.origin && SHELL_FILES.some(file => new URL(file, self.location).pathname === url.pathname);
+}
+
+/**
+ * Returns true for the station list of any server (with or without a path prefix).
+ */
+function isStationList(url) {
+    return url.pathname.endsWith(STATION_LIST_SUFFIX);
+}
+
+/**
+ * Deletes the oldest entries beyond maxEntries.
+ */
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Streams, event streams, range requests and explicit no-store checks go straight to the network
+    if (request.method !== 'GET' || request.cache === 'no-store' || request.headers.has('range')) return;
+    if (request.destination === 'audio') return;
+    // Only the station list is cached from the API (requests, event streams etc. are live)
+    if (!isStationList(url) && LIVE_PATH_SEGMENTS.some(segment => url.pathname.includes(segment))) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (isStationList(url)) {
+        event.respondWith(networkFirst(request, API_CACHE, notifyApiOffline));
+    } else if (request.destination === 'image' && url.origin !== self.location.origin) {
+        event.respondWith(cacheArt(request));
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+    } else if (isShellFile(url)) {
+        // Other same-origin files (e.g. the dev pages) are not cached
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+});
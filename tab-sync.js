@@ -0,0 +1,320 @@
+/**
+ * Cross-tab coordination for the Beeptunes radio player.
+ *
+ * Tabs of the player talk over a BroadcastChannel: one leader tab keeps the
+ * now playing subscription and shares the station data with the others, only
+ * one tab plays at a time, and the other tabs can control the playing one.
+ * Without BroadcastChannel every tab is its own leader. The channel and the
+ * clock are injected, so the same logic runs under Node.
+ *
+ * Events (subscribe with sync.on(type, handler)):
+ * - leaderchange   { isLeader }
+ * - stationdata    { stationData } (now playing payload shared by the leader)
+ * - remoteplayback { playback } (another tab's playback { tabId, state, shortcode }, or null when none plays)
+ * - stop           {} (another tab started playing: stop this one)
+ * - command        { command, shortcode } (sent by a remote control tab: 'stop' | 'select')
+ */
+
+// --- Tab Sync Settings ---
+const TAB_CHANNEL_NAME = 'beep-radio';
+const HEARTBEAT_INTERVAL = 2000; // Leader and playing tab announce themselves this often (ms)
+const LEADER_CLAIM_DELAY = 1000; // A new tab waits this long for a leader before leading itself (ms)
+const TAB_TIMEOUT = 6000; // A leader or playing tab that has been silent this long is gone (ms)
+
+/**
+ * Creates a random tab id (compared to break ties between leaders).
+ */
+function createTabId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Creates the cross-tab coordinator.
+ * @param {object} [options]
+ * @param {string} [options.channelName] - BroadcastChannel name.
+ * @param {Function} [options.BroadcastChannel] - BroadcastChannel constructor (null = single tab).
+ * @param {object} [options.clock] - { now, setTimeout, clearTimeout, setInterval, clearInterval }.
+ * @param {string} [options.tabId] - Id of this tab.
+ * @returns {object} Tab sync.
+ */
+function createTabSync(options = {}) {
+    const BroadcastChannelImpl = options.BroadcastChannel !== undefined ? options.BroadcastChannel : globalThis.BroadcastChannel;
+    const clock = {
+        now: () => Date.now(),
+        setTimeout: (fn, ms) => setTimeout(fn, ms),
+        clearTimeout: (id) => clearTimeout(id),
+        setInterval: (fn, ms) => setInterval(fn, ms),
+        clearInterval: (id) => clearInterval(id),
+        ...options.clock
+    };
+    const tabId = options.tabId || createTabId();
+
+    const listeners = {};
+    let channel = null;
+    let heartbeatIntervalId = null;
+    let claimTimeoutId = null;
+
+    // --- Leader State ---
+    let isLeader = false;
+    let leaderSeenAt = null; // Last heartbeat of another leader (null = none seen)
+
+    // --- Playback State ---
+    let playback = null; // This tab's playback { state, shortcode, startedAt } (null = stopped)
+    let remotePlayback = null; // { tabId, state, shortcode, seenAt } of the tab that plays
+
+    // --- Events ---
+
+    /**
+     * Subscribes to an event.
+     * @returns {Function} Unsubscribe function.
+     */
+    function on(type, handler) {
+        (listeners[type] = listeners[type] || []).push(handler);
+        return () => off(type, handler);
+    }
+
+    /**
+     * Unsubscribes from an event.
+     */
+    function off(type, handler) {
+        listeners[type] = (listeners[type] || []).filter(h => h !== handler);
+    }
+
+    /**
+     * Calls every handler of an event (a failing handler does not stop the others).
+     */
+    function emit(type, detail) {
+        (listeners[type] || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${type} handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Sends a message to the other tabs.
+     */
+    function post(type, detail = {}) {
+        if (!channel) return;
+        try {
+            channel.postMessage({ type, tabId, ...detail });
+        } catch (error) {
+            console.error("Error posting to other tabs:", error);
+        }
+    }
+
+    // --- Leader Election ---
+
+    /**
+     * Makes this tab the leader (or a follower) and announces the change.
+     */
+    function setLeader(leader) {
+        if (leader === isLeader) return;
+        isLeader = leader;
+        if (isLeader) post('heartbeat');
+        emit('leaderchange', { isLeader });
+    }
+
+    /**
+     * Heartbeat tick: the leader and the playing tab announce themselves;
+     * followers take over from a silent leader and forget a silent player.
+     */
+    function tick() {
+        const now = clock.now();
+        if (isLeader) {
+            post('heartbeat');
+        } else if (leaderSeenAt !== null && now - leaderSeenAt > TAB_TIMEOUT) {
+            leaderSeenAt = null;
+            setLeader(true);
+        }
+
+        if (playback) {
+            post('playback', playback);
+        }
+        if (remotePlayback && now - remotePlayback.seenAt > TAB_TIMEOUT) {
+            setRemotePlayback(null);
+        }
+    }
+
+    /**
+     * Handles another tab's leader heartbeat. Two leaders keep the one with the smaller id.
+     */
+    function handleHeartbeat(senderId) {
+        if (isLeader && tabId < senderId) {
+            post('heartbeat'); // Ours wins: the other tab steps down
+            return;
+        }
+        leaderSeenAt = clock.now();
+        setLeader(false);
+    }
+
+    // --- Playback ---
+
+    /**
+     * Remembers (or with null, forgets) the playback of another tab and announces it.
+     */
+    function setRemotePlayback(detail) {
+        const previous = remotePlayback;
+        remotePlayback = detail;
+        const changed = !previous !== !detail
+            || (detail && (detail.tabId !== previous.tabId || detail.state !== previous.state || detail.shortcode !== previous.shortcode));
+        if (changed) {
+            emit('remoteplayback', { playback: detail ? { tabId: detail.tabId, state: detail.state, shortcode: detail.shortcode } : null });
+        }
+    }
+
+    /**
+     * Handles another tab's playback announcement. If both tabs play, the one
+     * that started last keeps playing (the smaller id on a tie).
+     */
+    function handlePlayback(message) {
+        if (!message.state) {
+            if (remotePlayback && remotePlayback.tabId === message.tabId) setRemotePlayback(null);
+            return;
+        }
+
+        if (playback) {
+            const keepsPlaying = playback.startedAt > message.startedAt
+                || (playback.startedAt === message.startedAt && tabId < message.tabId);
+            if (keepsPlaying) {
+                post('playback', playback); // The other tab stops when it hears us
+                return;
+            }
+            playback = null;
+            emit('stop', {});
+        }
+        setRemotePlayback({ tabId: message.tabId, state: message.state, shortcode: message.shortcode, seenAt: clock.now() });
+    }
+
+    /**
+     * Sets this tab's playback (null = stopped) and tells the other tabs (which stop if they play).
+     * @param {object|null} detail - { state, shortcode }.
+     */
+    function setPlayback(detail) {
+        const wasPlaying = Boolean(playback);
+        playback = detail
+            ? { state: detail.state, shortcode: detail.shortcode, startedAt: wasPlaying ? playback.startedAt : clock.now() }
+            : null;
+        if (playback) {
+            setRemotePlayback(null); // The other tab stops when it hears us
+            post('playback', playback);
+        } else if (wasPlaying) {
+            post('playback', { state: null });
+        }
+    }
+
+    /**
+     * Sends a remote control command to the playing tab.
+     * @param {string} command - 'stop' | 'select'.
+     * @param {object} [detail] - { shortcode } for 'select'.
+     * @returns {boolean} False if no other tab plays.
+     */
+    function sendCommand(command, detail = {}) {
+        if (!remotePlayback) return false;
+        post('command', { target: remotePlayback.tabId, command, shortcode: detail.shortcode });
+        return true;
+    }
+
+    /**
+     * Shares a now playing payload with the other tabs (leader only).
+     */
+    function shareStationData(stationData) {
+        if (isLeader) post('stationdata', { stationData });
+    }
+
+    /**
+     * Dispatches a message from another tab.
+     */
+    function handleMessage(message) {
+        if (!message || message.tabId === tabId) return;
+
+        switch (message.type) {
+            case 'hello':
+                // A new tab: tell it who leads and who plays
+                if (isLeader) post('heartbeat');
+                if (playback) post('playback', playback);
+                break;
+            case 'heartbeat':
+                handleHeartbeat(message.tabId);
+                break;
+            case 'resign':
+                leaderSeenAt = null;
+                setLeader(true); // Every follower claims; the smallest id keeps it
+                break;
+            case 'playback':
+                handlePlayback(message);
+                break;
+            case 'command':
+                if (message.target === tabId) emit('command', { command: message.command, shortcode: message.shortcode });
+                break;
+            case 'stationdata':
+                if (!isLeader) emit('stationdata', { stationData: message.stationData });
+                break;
+        }
+    }
+
+    /**
+     * Joins the other tabs: waits briefly for a leader, else leads.
+     * Can be called again after destroy() (a page restored from the back/forward cache).
+     */
+    function start() {
+        if (channel || heartbeatIntervalId) return;
+        if (!BroadcastChannelImpl) {
+            setLeader(true);
+            return;
+        }
+
+        channel = new BroadcastChannelImpl(options.channelName || TAB_CHANNEL_NAME);
+        channel.onmessage = (event) => handleMessage(event.data);
+        post('hello');
+
+        claimTimeoutId = clock.setTimeout(() => {
+            claimTimeoutId = null;
+            if (leaderSeenAt === null) setLeader(true);
+        }, LEADER_CLAIM_DELAY);
+        heartbeatIntervalId = clock.setInterval(tick, HEARTBEAT_INTERVAL);
+    }
+
+    /**
+     * Leaves the other tabs (on page hide): hands over the leadership and playback,
+     * and forgets the other tabs (announced as leaderchange/remoteplayback) until start().
+     */
+    function destroy() {
+        if (claimTimeoutId) clock.clearTimeout(claimTimeoutId);
+        if (heartbeatIntervalId) clock.clearInterval(heartbeatIntervalId);
+        claimTimeoutId = null;
+        heartbeatIntervalId = null;
+
+        if (isLeader) post('resign');
+        if (playback) post('playback', { state: null });
+        if (channel) {
+            channel.close();
+            channel = null;
+        }
+
+        playback = null;
+        leaderSeenAt = null;
+        setLeader(false);
+        setRemotePlayback(null);
+    }
+
+    return {
+        on,
+        off,
+        start,
+        destroy,
+        setPlayback,
+        sendCommand,
+        shareStationData,
+        getTabId: () => tabId,
+        isLeader: () => isLeader,
+        getRemotePlayback: () => (remotePlayback ? { tabId: remotePlayback.tabId, state: remotePlayback.state, shortcode: remotePlayback.shortcode } : null)
+    };
+}
+
+// Node (unit tests): export the coordinator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createTabSync };
+}
@@ -0,0 +1,144 @@
+/**
+ * Unit tests of the local library formats and statistics (run with `node --test`).
+ *
+ * Only the pure helpers are covered: the IndexedDB storage needs a browser.
+ * Times are built with local Date constructors, so the hour buckets do not
+ * depend on the time zone.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createLikedSongRecord,
+    toCsvField,
+    parseCsv,
+    formatLibraryExport,
+    normalizeImportedSong,
+    parseLibraryFile,
+    summarizeListening
+} = require('../library.js');
+
+const NOW = Date.UTC(2024, 2, 1, 12);
+const STATION = { shortcode: 'aramesh', name: 'Aramesh' };
+const SONG = { id: 'a1', title: 'Rain, "live"', artist: 'Artist', album: 'Album', art: 'https://example.org/a1.jpg' };
+
+// --- Liked Songs ---
+
+describe('createLikedSongRecord', () => {
+    it('keeps the song, its station and the like time', () => {
+        assert.deepEqual(createLikedSongRecord(SONG, STATION, NOW), {
+            id: 'a1',
+            title: 'Rain, "live"',
+            artist: 'Artist',
+            album: 'Album',
+            art: 'https://example.org/a1.jpg',
+            station: 'aramesh',
+            stationName: 'Aramesh',
+            likedAt: NOW,
+            song: SONG
+        });
+    });
+});
+
+describe('CSV', () => {
+    it('quotes fields with commas, quotes and line breaks only', () => {
+        assert.equal(toCsvField('plain'), 'plain');
+        assert.equal(toCsvField('a, "b"'), '"a, ""b"""');
+        assert.equal(toCsvField('two\nlines'), '"two\nlines"');
+        assert.equal(toCsvField(undefined), '');
+    });
+
+    it('parses quoted fields and CRLF rows and skips empty rows', () => {
+        assert.deepEqual(parseCsv('a,b\r\n"x, ""y""","two\nlines"\r\n\r\nlast,\n'), [
+            ['a', 'b'],
+            ['x, "y"', 'two\nlines'],
+            ['last', '']
+        ]);
+    });
+});
+
+describe('export and import', () => {
+    const records = [createLikedSongRecord(SONG, STATION, NOW)];
+
+    it('round-trips the liked songs through CSV', () => {
+        const file = formatLibraryExport(records, 'csv', NOW);
+        assert.equal(file.fileName, 'beep-liked-songs-2024-03-01.csv');
+        assert.equal(file.mimeType, 'text/csv');
+        assert.ok(file.content.startsWith('\uFEFFtitle,artist,album,art,station,stationName,likedAt\r\n'));
+
+        const [imported] = parseLibraryFile(file.fileName, file.content, 0);
+        assert.equal(imported.id, 'artist - rain, "live"'); // CSV has no song id
+        assert.equal(imported.title, SONG.title);
+        assert.equal(imported.stationName, 'Aramesh');
+        assert.equal(imported.likedAt, NOW);
+    });
+
+    it('round-trips the liked songs through JSON', () => {
+        const file = formatLibraryExport(records, 'json', NOW);
+        assert.equal(file.fileName, 'beep-liked-songs-2024-03-01.json');
+        assert.deepEqual(parseLibraryFile('Backup.JSON', file.content, 0), records);
+    });
+
+    it('skips entries without a title and rejects JSON that is not a list', () => {
+        assert.deepEqual(parseLibraryFile('songs.csv', 'title,artist\n,Nobody\nWind,\n', NOW).map(record => record.title), ['Wind']);
+        assert.throws(() => parseLibraryFile('songs.json', '{"title":"Wind"}', NOW), /array/);
+    });
+
+    it('fills the missing fields of an imported entry', () => {
+        assert.deepEqual(normalizeImportedSong({ title: 'Wind', station: 'owj', likedAt: 'not a date' }, NOW), {
+            id: ' - wind',
+            title: 'Wind',
+            artist: '',
+            album: '',
+            art: '',
+            station: 'owj',
+            stationName: 'owj',
+            likedAt: NOW,
+            song: { title: 'Wind', artist: '', album: '', art: '' }
+        });
+        assert.equal(normalizeImportedSong(null, NOW), null);
+    });
+});
+
+// --- Listening Statistics ---
+
+describe('summarizeListening', () => {
+    const at = (hour, minute = 0) => new Date(2024, 2, 1, hour, minute).getTime();
+    const MINUTE = 60000;
+
+    it('counts only the part of a session inside the range, split by hour', () => {
+        const sessions = [
+            { station: 'aramesh', stationName: 'Aramesh', startedAt: at(9, 30), endedAt: at(11, 15) },
+            { station: 'owj', stationName: 'Owj', startedAt: at(12), endedAt: at(12, 10) },
+            { station: 'owj', stationName: 'Owj', startedAt: at(20), endedAt: at(21) } // Outside
+        ];
+        const summary = summarizeListening(sessions, [], at(10), at(13));
+
+        assert.equal(summary.totalMs, 85 * MINUTE);
+        assert.deepEqual(summary.stations, [
+            { station: 'aramesh', stationName: 'Aramesh', ms: 75 * MINUTE },
+            { station: 'owj', stationName: 'Owj', ms: 10 * MINUTE }
+        ]);
+        assert.equal(summary.hours[9], 0);
+        assert.equal(summary.hours[10], 60 * MINUTE);
+        assert.equal(summary.hours[11], 15 * MINUTE);
+        assert.equal(summary.hours[12], 10 * MINUTE);
+    });
+
+    it('ranks the artists (case-insensitive) and tracks heard in the range', () => {
+        const tracks = [
+            { songKey: 'a1', title: 'Rain', artist: 'Artist', heardAt: at(10) },
+            { songKey: 'a1', title: 'Rain', artist: 'artist', heardAt: at(11) },
+            { songKey: 'b1', title: 'Wind', artist: '', heardAt: at(11) },
+            { songKey: 'b1', title: 'Wind', artist: '', heardAt: at(14) } // Outside
+        ];
+        const summary = summarizeListening([], tracks, at(10), at(13));
+
+        assert.deepEqual(summary.artists, [{ artist: 'Artist', count: 2 }]);
+        assert.deepEqual(summary.tracks, [
+            { title: 'Rain', artist: 'Artist', count: 2 },
+            { title: 'Wind', artist: '', count: 1 }
+        ]);
+    });
+});
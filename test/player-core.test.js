@@ -0,0 +1,788 @@
+/**
+ * Unit tests of the headless player core (run with `node --test`).
+ *
+ * The core gets a fake fetch that serves fixtures/nowplaying.json, a fake clock
+ * and a fake audio output, so every timer and request is driven by the test.
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+    createPlayerCore,
+    buildTrackTimeline,
+    selectCurrentTrack,
+    extractStations,
+    extractStationStatus,
+    normalizeServerUrl,
+    getStationKey,
+    scopeStationData,
+    getPreferredStream,
+    getReconnectDelay,
+    getSongKey
+} = require('../player-core.js');
+
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'nowplaying.json'), 'utf8'));
+const FIXTURE_NOW = 1700000000; // The fixture's played_at values are relative to this time (s)
+const SERVER = 'https://radio.example.org';
+
+// --- Fakes ---
+
+/**
+ * Returns a fresh copy of the fixture (optionally changed by edit).
+ */
+function loadFixture(edit) {
+    const data = JSON.parse(JSON.stringify(FIXTURE));
+    if (edit) edit(data);
+    return data;
+}
+
+/**
+ * Returns a fixture station's payload by shortcode.
+ */
+function fixtureStation(data, shortcode) {
+    return data.find(stationData => stationData.station.shortcode === shortcode);
+}
+
+/**
+ * Lets pending promise callbacks run.
+ */
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Creates a clock whose timers only run when the test advances it.
+ */
+function createFakeClock(startMs = FIXTURE_NOW * 1000) {
+    let now = startMs;
+    let nextId = 1;
+    const timers = new Map();
+
+    return {
+        now: () => now,
+        setTimeout: (fn, ms) => {
+            timers.set(nextId, { at: now + ms, fn });
+            return nextId++;
+        },
+        clearTimeout: (id) => timers.delete(id),
+        setInterval: (fn, ms) => {
+            timers.set(nextId, { at: now + ms, fn, every: ms });
+            return nextId++;
+        },
+        clearInterval: (id) => timers.delete(id),
+
+        /**
+         * Moves the time forward, running the timers that are due on the way.
+         */
+        async advance(ms) {
+            const end = now + ms;
+            await flush(); // Let pending callbacks set their timers first
+            while (true) {
+                let dueId = null;
+                timers.forEach((timer, id) => {
+                    if (timer.at <= end && (dueId === null || timer.at < timers.get(dueId).at)) dueId = id;
+                });
+                if (dueId === null) break;
+
+                const timer = timers.get(dueId);
+                now = timer.at;
+                if (timer.every) {
+                    timer.at += timer.every;
+                } else {
+                    timers.delete(dueId);
+                }
+                timer.fn();
+                await flush();
+            }
+            now = end;
+            await flush();
+        }
+    };
+}
+
+/**
+ * Creates a fetch that serves a now playing payload per server (and records the URLs).
+ * @param {object} payloads - Payload (or function returning one) per server base URL.
+ */
+function createFakeFetch(payloads) {
+    const calls = [];
+    const fetch = async (url) => {
+        calls.push(url);
+        const server = Object.keys(payloads).find(base => url === `${base}/api/nowplaying`);
+        if (!server) return { ok: false, status: 404, json: async () => ({}) };
+        const payload = typeof payloads[server] === 'function' ? payloads[server]() : payloads[server];
+        return { ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(payload)) };
+    };
+    return { fetch, calls };
+}
+
+/**
+ * Creates an audio output that records its calls; the test fires its events.
+ */
+function createFakeAudio() {
+    return {
+        handler: null,
+        loads: [],
+        stops: 0,
+        position: 0,
+        playResult: () => Promise.resolve(),
+        onEvent(handler) {
+            this.handler = handler;
+        },
+        load(stream) {
+            this.loads.push(stream.url);
+        },
+        play() {
+            return this.playResult();
+        },
+        pause() {},
+        stop() {
+            this.stops++;
+        },
+        getPosition() {
+            return this.position;
+        },
+        getBufferedAhead: () => null,
+        fire(type, reason) {
+            this.handler(type, reason);
+        }
+    };
+}
+
+/**
+ * Creates a core with fakes and records its events.
+ * @returns {object} { core, clock, audio, calls, events, eventsOf(type) }.
+ */
+function createTestCore(options = {}) {
+    const clock = createFakeClock();
+    const audio = createFakeAudio();
+    const { fetch, calls } = createFakeFetch(options.payloads || { [SERVER]: loadFixture() });
+    const core = createPlayerCore({
+        apiServers: [SERVER],
+        EventSource: null,
+        fetch,
+        clock,
+        audio,
+        defaultLatency: 40,
+        ...options.core
+    });
+
+    const events = [];
+    ['stationschange', 'stationchange', 'stationupdate', 'stationdata', 'streamchange', 'qualitychange', 'nowplaying',
+        'trackchange', 'progress', 'statechange', 'reconnecting', 'latencychange', 'error'].forEach(type => {
+        core.on(type, detail => events.push({ type, detail }));
+    });
+
+    return {
+        core,
+        clock,
+        audio,
+        calls,
+        events,
+        eventsOf: (type) => events.filter(event => event.type === type).map(event => event.detail)
+    };
+}
+
+beforeEach(() => {
+    // The core logs handled failures (timing mismatches, reconnects) to the console
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// --- Pure Helpers ---
+
+describe('selectCurrentTrack', () => {
+    const data = fixtureStation(loadFixture(), 'aramesh');
+
+    it('picks now_playing once the latency-adjusted start has passed', () => {
+        const { track, upNext, history } = selectCurrentTrack(data, FIXTURE_NOW, 40);
+        assert.equal(track.song.title, 'Current Song');
+        assert.equal(upNext.song.title, 'Next Song');
+        assert.deepEqual(history.map(item => item.song.title), ['Previous Song', 'Older Song']);
+    });
+
+    it('keeps the last history track while the stream lags behind the API', () => {
+        const { track, upNext, history } = selectCurrentTrack(data, FIXTURE_NOW, 80);
+        assert.equal(track.song.title, 'Previous Song');
+        assert.equal(upNext.song.title, 'Current Song');
+        assert.deepEqual(history.map(item => item.song.title), ['Older Song']);
+    });
+
+    it('moves to playing_next when now_playing is over', () => {
+        const { track, upNext, history } = selectCurrentTrack(data, FIXTURE_NOW + 200, 40);
+        assert.equal(track.song.title, 'Next Song');
+        assert.equal(upNext, null);
+        assert.deepEqual(history.map(item => item.song.title), ['Current Song', 'Previous Song', 'Older Song']);
+    });
+
+    it('falls back to now_playing without history', () => {
+        const owj = fixtureStation(loadFixture(), 'owj');
+        assert.equal(selectCurrentTrack(owj, FIXTURE_NOW, 40).track.song.title, 'Live Set');
+    });
+
+    it('falls back to now_playing when the last history track is already over', () => {
+        const old = fixtureStation(loadFixture(), 'aramesh');
+        old.song_history[0].played_at -= 100; // Gap between the history and now_playing
+        assert.equal(selectCurrentTrack(old, FIXTURE_NOW, 90).track.song.title, 'Current Song');
+    });
+});
+
+describe('buildTrackTimeline', () => {
+    it('orders playing_next, now_playing and the history newest first', () => {
+        const timeline = buildTrackTimeline(fixtureStation(loadFixture(), 'aramesh'));
+        assert.deepEqual(timeline.map(item => item.song.id), ['a3', 'a2', 'a1', 'a0']);
+    });
+});
+
+describe('getSongKey', () => {
+    it('uses the song id, else artist and title', () => {
+        assert.equal(getSongKey({ id: 'a2', title: 'X' }), 'a2');
+        assert.equal(getSongKey({ title: 'Title', artist: 'Artist' }), 'artist - title');
+    });
+});
+
+describe('extractStations', () => {
+    const stations = extractStations(loadFixture(), { stationNames: { Aramesh: 'آرامش' } });
+
+    it('drops stations without a stream URL', () => {
+        assert.deepEqual(stations.map(station => station.shortcode), ['khamoosh', 'aramesh', 'owj']);
+    });
+
+    it('maps names and keeps the original name', () => {
+        const aramesh = stations.find(station => station.shortcode === 'aramesh');
+        assert.equal(aramesh.name, 'آرامش');
+        assert.equal(aramesh.originalName, 'Aramesh');
+        assert.equal(aramesh.description, 'Calm music');
+        assert.equal(aramesh.requestsEnabled, true);
+        assert.equal(aramesh.url, 'https://radio.example.org/listen/aramesh/128.mp3');
+    });
+
+    it('reads the live status', () => {
+        const [khamoosh, aramesh, owj] = stations;
+        assert.equal(khamoosh.isOnline, false);
+        assert.equal(aramesh.listeners, 12);
+        assert.equal(owj.listeners, 3); // Only listeners.total in the payload
+        assert.deepEqual(owj.live, { isLive: true, streamerName: 'DJ Sahar' });
+        assert.equal(owj.song.title, 'Live Set');
+    });
+
+    it('lists every mount, and HLS only where it can be played', () => {
+        const withoutHls = stations.find(station => station.shortcode === 'aramesh');
+        assert.deepEqual(withoutHls.streams.map(stream => stream.id), ['mount:1', 'mount:2']);
+        assert.deepEqual(withoutHls.streams.map(stream => stream.bitrate), [128, 64]);
+
+        const withHls = extractStations(loadFixture(), { hlsSupported: true }).find(station => station.shortcode === 'aramesh');
+        assert.deepEqual(withHls.streams.map(stream => stream.id), ['mount:1', 'mount:2', 'hls']);
+    });
+
+    it('adds listen_url as a stream when there are no mounts', () => {
+        const owj = stations.find(station => station.shortcode === 'owj');
+        assert.deepEqual(owj.streams.map(stream => [stream.id, stream.url, stream.isDefault]),
+            [['listen', 'https://radio.example.org/listen/owj/radio.mp3', true]]);
+    });
+
+    it('keeps the server of scoped payloads', () => {
+        const scoped = loadFixture().map(stationData => scopeStationData(stationData, 'https://second.example', false));
+        const [khamoosh] = extractStations(scoped);
+        assert.equal(khamoosh.shortcode, 'khamoosh@second.example');
+        assert.equal(khamoosh.apiShortcode, 'khamoosh');
+        assert.equal(khamoosh.source, 'https://second.example');
+    });
+
+});
+
+describe('extractStationStatus', () => {
+    it('treats a missing is_online as online', () => {
+        const stationData = fixtureStation(loadFixture(), 'owj');
+        delete stationData.is_online;
+        assert.equal(extractStationStatus(stationData).isOnline, true);
+    });
+});
+
+describe('getPreferredStream', () => {
+    const aramesh = extractStations(loadFixture(), { hlsSupported: true }).find(station => station.shortcode === 'aramesh');
+
+    it('uses the saved choice', () => {
+        assert.equal(getPreferredStream(aramesh, 'mount:2').bitrate, 64);
+    });
+
+    it('uses the station default on auto', () => {
+        assert.equal(getPreferredStream(aramesh).id, 'mount:1');
+        assert.equal(getPreferredStream(aramesh, 'mount:missing').id, 'mount:1');
+    });
+
+    it('prefers HLS when the station marks it as default', () => {
+        const data = loadFixture(fixture => {
+            fixtureStation(fixture, 'aramesh').station.hls_is_default = true;
+        });
+        const station = extractStations(data, { hlsSupported: true }).find(s => s.shortcode === 'aramesh');
+        assert.equal(getPreferredStream(station).id, 'hls');
+    });
+});
+
+describe('normalizeServerUrl', () => {
+    it('adds https and strips API and public paths', () => {
+        assert.equal(normalizeServerUrl('radio.example.org/api/nowplaying'), 'https://radio.example.org');
+        assert.equal(normalizeServerUrl('http://example.org/radio/public/aramesh'), 'http://example.org/radio');
+        assert.equal(normalizeServerUrl(' https://radio.example.org/ '), 'https://radio.example.org');
+    });
+
+    it('rejects empty and non-http URLs', () => {
+        assert.equal(normalizeServerUrl(''), null);
+        assert.equal(normalizeServerUrl('ftp://radio.example.org'), null);
+    });
+});
+
+describe('getStationKey', () => {
+    it('keeps plain shortcodes on the primary server only', () => {
+        assert.equal(getStationKey('aramesh', SERVER, true), 'aramesh');
+        assert.equal(getStationKey('aramesh', 'https://second.example:8443', false), 'aramesh@second.example:8443');
+    });
+});
+
+describe('getReconnectDelay', () => {
+    it('doubles from one second up to the maximum', () => {
+        assert.deepEqual([0, 1, 2, 3, 10].map(getReconnectDelay), [1000, 2000, 4000, 8000, 30000]);
+    });
+});
+
+// --- Player Core ---
+
+describe('createPlayerCore: stations and now playing', () => {
+    it('loads the stations from the injected fetch', async () => {
+        const { core, calls, eventsOf } = createTestCore();
+        assert.equal(await core.loadStations(), true);
+        assert.deepEqual(calls, [`${SERVER}/api/nowplaying`]);
+        assert.deepEqual(eventsOf('stationschange')[0].stations.map(s => s.shortcode), ['khamoosh', 'aramesh', 'owj']);
+    });
+
+    it('reports an unreachable API', async () => {
+        const { core } = createTestCore({ payloads: {} });
+        assert.equal(await core.loadStations(), false);
+    });
+
+    it('does not select offline stations', async () => {
+        const { core } = createTestCore();
+        await core.loadStations();
+        assert.equal(core.selectStation('khamoosh'), false);
+        assert.equal(core.selectStation('missing'), false);
+        assert.equal(core.getCurrentStation(), null);
+    });
+
+    it('announces the station and the track heard with the default latency', async () => {
+        const { core, eventsOf } = createTestCore();
+        await core.loadStations();
+        assert.equal(core.selectStation('aramesh'), true);
+        await flush();
+
+        assert.equal(eventsOf('stationchange')[0].station.shortcode, 'aramesh');
+        assert.equal(eventsOf('streamchange').at(-1).stream.id, 'mount:1');
+        const [nowPlaying] = eventsOf('nowplaying');
+        assert.equal(nowPlaying.song.title, 'Current Song');
+        assert.equal(nowPlaying.upNext.song.title, 'Next Song');
+        assert.equal(nowPlaying.latency, 40);
+        assert.equal(nowPlaying.isNewTrack, true);
+        assert.equal(eventsOf('trackchange').length, 1);
+    });
+
+    it('applies a latency override to the track selection', async () => {
+        const { core, eventsOf } = createTestCore({ core: { latencyOverrides: { aramesh: 80 } } });
+        await core.loadStations();
+        core.selectStation('aramesh');
+        await flush();
+        assert.equal(eventsOf('nowplaying')[0].song.title, 'Previous Song');
+        assert.equal(core.getLatencyInfo('aramesh').source, 'override');
+    });
+
+    it('ticks the progress from the injected clock', async () => {
+        const { core, clock, eventsOf } = createTestCore();
+        await core.loadStations();
+        core.selectStation('aramesh');
+        await flush();
+
+        // played_at = now - 60, latency 40: 20 s into the track
+        assert.deepEqual(eventsOf('progress')[0], { elapsed: 20, duration: 200, startTime: FIXTURE_NOW - 20 });
+        await clock.advance(3000);
+        assert.equal(eventsOf('progress').at(-1).elapsed, 23);
+    });
+
+    it('polls without an event stream and announces new tracks', async () => {
+        let payload = loadFixture();
+        const { core, clock, calls, eventsOf } = createTestCore({ payloads: { [SERVER]: () => payload } });
+        await core.loadStations();
+        core.selectStation('aramesh');
+        core.startNowPlayingUpdates();
+        await flush();
+        const requests = calls.length;
+
+        payload = loadFixture(fixture => {
+            fixtureStation(fixture, 'aramesh').now_playing = {
+                played_at: FIXTURE_NOW - 50,
+                duration: 200,
+                song: { id: 'a9', title: 'Pushed Song', artist: 'Artist Nine' }
+            };
+        });
+        await clock.advance(10000);
+
+        assert.equal(calls.length, requests + 1);
+        assert.equal(eventsOf('trackchange').at(-1).song.title, 'Pushed Song');
+        assert.equal(eventsOf('stationupdate').at(-1).station.song.title, 'Pushed Song');
+        assert.ok(eventsOf('stationdata').some(({ stationData }) => stationData.station.shortcode === 'owj'));
+        core.destroy();
+    });
+
+    it('merges the stations and polls every server', async () => {
+        const second = 'https://second.example';
+        const { core, clock, calls } = createTestCore({
+            payloads: { [SERVER]: loadFixture(), [second]: loadFixture() },
+            core: { apiServers: [SERVER, second] }
+        });
+        await core.loadStations();
+        assert.equal(core.getStations().length, 6);
+        assert.ok(core.selectStation('owj@second.example'));
+        core.startNowPlayingUpdates();
+        await flush();
+
+        calls.length = 0;
+        await clock.advance(10000);
+        assert.deepEqual(calls.sort(), [`${SERVER}/api/nowplaying`, `${second}/api/nowplaying`]);
+        core.destroy();
+    });
+
+    it('uses shared now playing data instead of its own requests', async () => {
+        const { core, clock, calls, eventsOf } = createTestCore();
+        await core.loadStations();
+        core.selectStation('aramesh');
+        core.startNowPlayingUpdates();
+        core.useSharedNowPlaying();
+        await flush();
+        calls.length = 0;
+
+        const shared = fixtureStation(loadFixture(), 'aramesh');
+        shared.now_playing.song = { id: 'a8', title: 'Shared Song', artist: 'Artist Eight' };
+        core.applySharedStationData(shared);
+        await clock.advance(20000);
+
+        assert.deepEqual(calls, []);
+        assert.equal(eventsOf('trackchange').at(-1).song.title, 'Shared Song');
+    });
+});
+
+describe('createPlayerCore: playback states', () => {
+    /**
+     * Creates a core with the stations loaded and Aramesh selected.
+     */
+    async function createSelectedCore(options) {
+        const test = createTestCore(options);
+        await test.core.loadStations();
+        test.core.selectStation('aramesh');
+        await flush();
+        return test;
+    }
+
+    const statesOf = (events) => events.filter(event => event.type === 'statechange').map(event => event.detail.state);
+
+    it('goes from loading to playing and back to stopped', async () => {
+        const { core, audio, events } = await createSelectedCore();
+        await core.play();
+        assert.deepEqual(audio.loads, ['https://radio.example.org/listen/aramesh/128.mp3']);
+        assert.equal(core.isPlaying(), true);
+
+        const stops = audio.stops;
+        core.stop();
+        assert.deepEqual(statesOf(events), ['loading', 'playing', 'stopped']);
+        assert.equal(audio.stops, stops + 1);
+    });
+
+    it('reports buffering and recovers', async () => {
+        const { core, audio } = await createSelectedCore();
+        await core.play();
+        audio.fire('waiting');
+        assert.equal(core.getState(), 'buffering');
+        audio.fire('playing');
+        assert.equal(core.getState(), 'playing');
+        core.stop();
+    });
+
+    it('stops with an autoplay error when the browser blocks playback', async () => {
+        const { core, audio, eventsOf } = await createSelectedCore();
+        audio.playResult = () => Promise.reject(Object.assign(new Error('blocked'), { name: 'NotAllowedError' }));
+        await core.play();
+        assert.equal(core.getState(), 'stopped');
+        assert.equal(eventsOf('error')[0].code, 'autoplay');
+    });
+
+    it('reconnects with backoff on the next mount, then gives up', async () => {
+        const { core, clock, audio, eventsOf } = await createSelectedCore({ core: { maxReconnectAttempts: 2 } });
+        await core.play();
+
+        audio.fire('error');
+        assert.equal(core.getState(), 'reconnecting');
+        assert.deepEqual(eventsOf('reconnecting')[0], { attempt: 1, maxAttempts: 2, delay: 1000 });
+        await clock.advance(1000);
+        assert.equal(audio.loads.at(-1), 'https://radio.example.org/listen/aramesh/64.aac');
+        assert.equal(core.getState(), 'playing');
+
+        audio.fire('error');
+        assert.equal(eventsOf('reconnecting')[1].delay, 2000);
+        await clock.advance(2000);
+        audio.fire('error');
+        assert.equal(core.getState(), 'stopped');
+        assert.equal(eventsOf('error')[0].code, 'stream');
+    });
+
+    it('reconnects when the position stops advancing', async () => {
+        const { core, clock } = await createSelectedCore();
+        await core.play();
+        await clock.advance(15000);
+        assert.equal(core.getState(), 'reconnecting');
+        core.stop();
+    });
+
+    it('moves to a lower mount after repeated buffering on auto quality', async () => {
+        const { core, audio, eventsOf } = await createSelectedCore();
+        await core.play();
+        for (let i = 0; i < 3; i++) {
+            audio.fire('waiting');
+            audio.fire('playing');
+        }
+        await flush();
+
+        assert.deepEqual(eventsOf('qualitychange').map(({ stream, reason }) => [stream.id, reason]), [['mount:2', 'buffering']]);
+        assert.equal(core.getCurrentStream().id, 'mount:2');
+        assert.equal(audio.loads.at(-1), 'https://radio.example.org/listen/aramesh/64.aac');
+        assert.equal(core.getStreamPreference('aramesh'), 'auto');
+        core.stop();
+    });
+
+    it('keeps a chosen stream despite buffering', async () => {
+        const { core, audio, eventsOf } = await createSelectedCore({ core: { streamPreferences: { aramesh: 'mount:1' } } });
+        await core.play();
+        for (let i = 0; i < 3; i++) {
+            audio.fire('waiting');
+            audio.fire('playing');
+        }
+        await flush();
+        assert.equal(core.getCurrentStream().id, 'mount:1');
+        assert.deepEqual(eventsOf('qualitychange'), []);
+        core.stop();
+    });
+});
+
+describe('createPlayerCore: toggle', () => {
+    it('starts the first online station when none is selected', async () => {
+        const { core, audio } = createTestCore();
+        await core.loadStations();
+        core.toggle();
+        await flush();
+        assert.equal(core.getCurrentStation().shortcode, 'aramesh');
+        assert.equal(core.getState(), 'playing');
+        assert.deepEqual(audio.loads, ['https://radio.example.org/listen/aramesh/128.mp3']);
+
+        core.toggle();
+        assert.equal(core.getState(), 'stopped');
+    });
+
+    it('reports when no station is online', async () => {
+        const payload = loadFixture(fixture => fixture.forEach(stationData => {
+            stationData.is_online = false;
+        }));
+        const { core, audio, eventsOf } = createTestCore({ payloads: { [SERVER]: payload } });
+        await core.loadStations();
+        core.toggle();
+        assert.equal(eventsOf('error')[0].code, 'offline');
+        assert.equal(core.getState(), 'stopped');
+        assert.deepEqual(audio.loads, []);
+    });
+});
+
+describe('createPlayerCore: server delay', () => {
+    const STATUS_URL = 'https://radio.example.org/listen/aramesh/status-json.xsl';
+
+    /**
+     * Creates a playing core on Aramesh with a fresh track; status(url, init) answers the other requests.
+     */
+    async function createProbingCore(status) {
+        const clock = createFakeClock();
+        const payload = loadFixture(fixture => {
+            fixtureStation(fixture, 'aramesh').now_playing.played_at = FIXTURE_NOW - 2; // A fresh track
+        });
+        const fetch = async (url, init) => {
+            if (url.endsWith('/api/nowplaying')) return { ok: true, json: async () => JSON.parse(JSON.stringify(payload)) };
+            return status(url, init, clock);
+        };
+        const core = createPlayerCore({ apiServers: [SERVER], EventSource: null, fetch, clock, audio: createFakeAudio() });
+        const delays = [];
+        core.on('latencychange', ({ serverDelays }) => delays.push(serverDelays.aramesh));
+
+        await core.loadStations();
+        core.selectStation('aramesh');
+        await core.play();
+        await core.refreshNowPlaying();
+        await clock.advance(30000);
+        return { core, delays };
+    }
+
+    it('reads the mount status until the new title appears', async () => {
+        const reads = [];
+        const { core, delays } = await createProbingCore((url, init, clock) => {
+            reads.push({ url, headers: init.headers });
+            // The new title reaches the mount 14 s after played_at
+            const song = clock.now() / 1000 < FIXTURE_NOW + 12
+                ? { artist: 'Artist One', title: 'Previous Song' }
+                : { artist: 'Artist Two', title: 'Current Song' };
+            const source = [
+                { listenurl: 'http://127.0.0.1:8000/64.aac', artist: 'Other', title: 'Low Mount' },
+                { listenurl: 'http://127.0.0.1:8000/128.mp3', ...song }
+            ];
+            return { ok: true, json: async () => ({ icestats: { source } }) };
+        });
+
+        // No custom request headers: a simple request without a CORS preflight
+        assert.deepEqual(reads.map(read => [read.url, read.headers]), Array(4).fill([STATUS_URL, undefined]));
+        // Old title at +10 s, new one at +15 s after now (played_at is 2 s earlier): the midpoint
+        assert.deepEqual(delays, [14.5]);
+        assert.equal(core.getLatencyInfo('aramesh').source, 'measured');
+        core.destroy();
+    });
+
+    it('falls back to the default when the mount status cannot be read', async () => {
+        let reads = 0;
+        const { core, delays } = await createProbingCore(() => {
+            reads++;
+            return Promise.reject(new TypeError('Failed to fetch')); // No status page or no CORS
+        });
+
+        assert.equal(reads, 1);
+        assert.deepEqual(delays, [undefined]);
+        assert.deepEqual(core.getLatencyInfo('aramesh'), { seconds: 40, source: 'unmeasurable', override: undefined });
+        core.destroy();
+    });
+});
+
+
+describe('createPlayerCore: song requests', () => {
+    const songs = ['Rain', 'Rainbow', 'Wind'].map((title, index) => ({
+        request_id: `r${index}`,
+        song: { title, artist: 'Artist', album: 'Album' }
+    }));
+
+    /**
+     * Creates a core whose fetch answers the requests API with the given handler.
+     */
+    function createRequestsCore(handler) {
+        const calls = [];
+        const core = createPlayerCore({
+            apiServers: [SERVER],
+            EventSource: null,
+            clock: createFakeClock(),
+            fetch: async (url, init) => {
+                calls.push({ url, method: init?.method || 'GET' });
+                return handler(url);
+            }
+        });
+        return { core, calls };
+    }
+
+    it('pages and searches a plain song list itself', async () => {
+        const { core, calls } = createRequestsCore(() => ({ ok: true, status: 200, json: async () => songs }));
+        const result = await core.getRequestableSongs('aramesh', { page: 2, perPage: 1, search: 'rain' });
+
+        assert.equal(calls[0].url, `${SERVER}/api/station/aramesh/requests?page=2&per_page=1&searchPhrase=rain`);
+        assert.deepEqual(result, { rows: [{ requestId: 'r1', song: songs[1].song }], page: 2, totalPages: 2, total: 2 });
+    });
+
+    it('reads paged server responses', async () => {
+        const { core } = createRequestsCore(() => ({
+            ok: true,
+            status: 200,
+            json: async () => ({ rows: songs.slice(0, 2), page: 1, total_pages: 2, total: 3 })
+        }));
+        const result = await core.getRequestableSongs('aramesh', { perPage: 2 });
+        assert.deepEqual(result.rows.map(row => row.requestId), ['r0', 'r1']);
+        assert.equal(result.totalPages, 2);
+        assert.equal(result.total, 3);
+    });
+
+    it('tells a cooldown apart from other rejections', async () => {
+        const responses = [
+            { ok: true, status: 200, json: async () => ({ formatted_message: 'Request submitted' }) },
+            { ok: false, status: 400, json: async () => ({ message: 'This song was already requested and will play soon.' }) },
+            { ok: false, status: 429, json: async () => { throw new SyntaxError('not JSON'); } },
+            { ok: false, status: 500, json: async () => ({ message: 'Server error' }) }
+        ];
+        const { core, calls } = createRequestsCore(() => responses.shift());
+
+        assert.deepEqual(await core.submitSongRequest('aramesh', 'r0'), { code: 'success', message: 'Request submitted' });
+        assert.equal((await core.submitSongRequest('aramesh', 'r0')).code, 'cooldown');
+        assert.deepEqual(await core.submitSongRequest('aramesh', 'r0'), { code: 'cooldown', message: '' });
+        assert.equal((await core.submitSongRequest('aramesh', 'r0')).code, 'error');
+        assert.deepEqual(calls[0], { url: `${SERVER}/api/station/aramesh/request/r0`, method: 'POST' });
+    });
+
+    it('reports an unreachable server as an error', async () => {
+        const { core } = createRequestsCore(() => Promise.reject(new TypeError('Failed to fetch')));
+        assert.deepEqual(await core.submitSongRequest('aramesh', 'r0'), { code: 'error', message: '' });
+        await assert.rejects(core.getRequestableSongs('aramesh'));
+    });
+});
+
+describe('createPlayerCore: crossfade', () => {
+    /**
+     * Creates a playing core on Aramesh whose audio output can crossfade.
+     * @returns {object} The test core plus resolve/reject of the pending crossfade.
+     */
+    async function createCrossfadeCore() {
+        const test = createTestCore({ core: { crossfadeDuration: 4 } });
+        const pending = {};
+        test.audio.crossfade = (stream, seconds) => {
+            test.audio.crossfades = [...(test.audio.crossfades || []), [stream.url, seconds]];
+            return new Promise((resolve, reject) => Object.assign(pending, { resolve, reject }));
+        };
+        test.core.on('crossfadestart', detail => test.events.push({ type: 'crossfadestart', detail }));
+        await test.core.loadStations();
+        test.core.selectStation('aramesh');
+        await test.core.play();
+        return { ...test, pending };
+    }
+
+    it('keeps the station until the new one plays, then hands over', async () => {
+        const { core, audio, pending, eventsOf } = await createCrossfadeCore();
+        core.selectStation('owj');
+        assert.deepEqual(audio.crossfades, [['https://radio.example.org/listen/owj/radio.mp3', 4]]);
+        assert.equal(eventsOf('crossfadestart')[0].station.shortcode, 'owj');
+        assert.equal(core.getCurrentStation().shortcode, 'aramesh');
+
+        pending.resolve();
+        await flush();
+        assert.equal(core.getCurrentStation().shortcode, 'owj');
+        assert.equal(eventsOf('stationchange').at(-1).station.shortcode, 'owj');
+        assert.equal(audio.loads.length, 1); // No direct load of the new stream
+        core.stop();
+    });
+
+    it('switches directly when the new stream does not start in time', async () => {
+        const { core, clock, audio } = await createCrossfadeCore();
+        core.selectStation('owj');
+        await clock.advance(15000);
+        assert.equal(core.getCurrentStation().shortcode, 'owj');
+        assert.equal(audio.loads.at(-1), 'https://radio.example.org/listen/owj/radio.mp3');
+        core.stop();
+    });
+
+    it('drops a crossfade cancelled by stop', async () => {
+        const { core, audio, pending } = await createCrossfadeCore();
+        core.selectStation('owj');
+        core.stop();
+        pending.reject(Object.assign(new Error('cancelled'), { name: 'AbortError' }));
+        await flush();
+        assert.equal(core.getCurrentStation().shortcode, 'aramesh');
+        assert.equal(audio.loads.length, 1);
+    });
+});
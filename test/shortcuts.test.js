@@ -0,0 +1,64 @@
+/**
+ * Unit tests of the keyboard shortcut mapping (run with `node --test`).
+ *
+ * Events and station buttons are plain objects with the fields the mapping reads.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getShortcutAction, getNumberedStationShortcode } = require('../shortcuts.js');
+
+/**
+ * Creates a keydown event on a target that matches the given selectors.
+ */
+function createKeyEvent(key, code, options = {}) {
+    const { matches = [], ...modifiers } = options;
+    return {
+        key,
+        code,
+        target: { closest: selector => (matches.some(tag => selector.split(', ').includes(tag)) ? {} : null) },
+        ...modifiers
+    };
+}
+
+/**
+ * Creates a station button.
+ */
+function createButton(shortcode, hidden = false) {
+    return { hidden, dataset: { shortcode } };
+}
+
+describe('getShortcutAction', () => {
+    it('maps keys by their position, not the layout', () => {
+        assert.equal(getShortcutAction(createKeyEvent(' ', 'Space'), false), 'playPause');
+        assert.equal(getShortcutAction(createKeyEvent('ؤ', 'KeyM'), false), 'mute'); // Persian layout
+        assert.equal(getShortcutAction(createKeyEvent('۳', 'Digit3'), false), 'station:3');
+        assert.equal(getShortcutAction(createKeyEvent('7', 'Numpad7'), false), 'station:7');
+        assert.equal(getShortcutAction(createKeyEvent('؟', 'Slash'), false), 'help');
+        assert.equal(getShortcutAction(createKeyEvent('0', 'Digit0'), false), null);
+    });
+
+    it('follows the visual order of the stations', () => {
+        assert.equal(getShortcutAction(createKeyEvent('ArrowRight', 'ArrowRight'), false), 'nextStation');
+        assert.equal(getShortcutAction(createKeyEvent('ArrowRight', 'ArrowRight'), true), 'previousStation');
+        assert.equal(getShortcutAction(createKeyEvent('ArrowLeft', 'ArrowLeft'), true), 'nextStation');
+    });
+
+    it('leaves keys to fields, buttons and browser shortcuts', () => {
+        assert.equal(getShortcutAction(createKeyEvent('m', 'KeyM', { matches: ['input'] }), false), null);
+        assert.equal(getShortcutAction(createKeyEvent(' ', 'Space', { matches: ['button'] }), false), null);
+        assert.equal(getShortcutAction(createKeyEvent('m', 'KeyM', { matches: ['button'] }), false), 'mute');
+        assert.equal(getShortcutAction(createKeyEvent('1', 'Digit1', { ctrlKey: true }), false), null);
+    });
+});
+
+describe('getNumberedStationShortcode', () => {
+    it('counts the shown buttons in their rendered order', () => {
+        const buttons = [createButton('owj'), createButton('aramesh', true), createButton('nava'), createButton('sepid')];
+        assert.equal(getNumberedStationShortcode(buttons, 1), 'owj');
+        assert.equal(getNumberedStationShortcode(buttons, 2), 'nava'); // aramesh is hidden by the search
+        assert.equal(getNumberedStationShortcode(buttons, 3), 'sepid');
+        assert.equal(getNumberedStationShortcode(buttons, 4), null);
+    });
+});
@@ -0,0 +1,341 @@
+/**
+ * Unit tests of the cross-tab coordinator (run with `node --test`).
+ *
+ * Tabs are several coordinators on one fake BroadcastChannel bus that delivers
+ * messages asynchronously, like the browser, and share a fake clock.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTabSync } = require('../tab-sync.js');
+
+// Timings of tab-sync.js (ms)
+const HEARTBEAT_INTERVAL = 2000;
+const LEADER_CLAIM_DELAY = 1000;
+const TAB_TIMEOUT = 6000;
+
+// --- Fakes ---
+
+/**
+ * Lets pending messages (and the replies they trigger) and promise callbacks run.
+ */
+async function flush() {
+    for (let round = 0; round < 5; round++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+/**
+ * Creates a clock whose timers only run when the test advances it.
+ */
+function createFakeClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map();
+
+    return {
+        now: () => now,
+        setTimeout: (fn, ms) => {
+            timers.set(nextId, { at: now + ms, fn });
+            return nextId++;
+        },
+        clearTimeout: (id) => timers.delete(id),
+        setInterval: (fn, ms) => {
+            timers.set(nextId, { at: now + ms, fn, every: ms });
+            return nextId++;
+        },
+        clearInterval: (id) => timers.delete(id),
+
+        /**
+         * Moves the time forward, running the timers that are due on the way. Timers due
+         * at the same time all run before any message is delivered (simultaneous tabs).
+         */
+        async advance(ms) {
+            const end = now + ms;
+            await flush();
+            while (true) {
+                let dueAt = Infinity;
+                timers.forEach(timer => { dueAt = Math.min(dueAt, timer.at); });
+                if (dueAt > end) break;
+
+                now = dueAt;
+                timers.forEach((timer, id) => {
+                    if (timer.at !== dueAt) return;
+                    if (timer.every) {
+                        timer.at += timer.every;
+                    } else {
+                        timers.delete(id);
+                    }
+                    timer.fn();
+                });
+                await flush();
+            }
+            now = end;
+            await flush();
+        }
+    };
+}
+
+/**
+ * Creates a set of tabs on one fake BroadcastChannel bus.
+ * @returns {object} { clock, open(tabId), crash(tabId) }.
+ */
+function createBrowser() {
+    const clock = createFakeClock();
+    const channels = new Set();
+    const channelOf = {};
+
+    /**
+     * Opens a tab: its coordinator and the events it received.
+     */
+    function open(tabId, options = {}) {
+        class FakeBroadcastChannel {
+            constructor(name) {
+                this.name = name;
+                this.onmessage = null;
+                channels.add(this);
+                channelOf[tabId] = this;
+            }
+
+            postMessage(data) {
+                if (!channels.has(this)) return;
+                const message = JSON.parse(JSON.stringify(data)); // Structured clone
+                channels.forEach(channel => {
+                    if (channel === this || channel.name !== this.name) return;
+                    setImmediate(() => {
+                        if (channels.has(channel) && channel.onmessage) channel.onmessage({ data: message });
+                    });
+                });
+            }
+
+            close() {
+                channels.delete(this);
+            }
+        }
+
+        const sync = createTabSync({ tabId, clock, BroadcastChannel: FakeBroadcastChannel, ...options });
+        const events = [];
+        ['leaderchange', 'stationdata', 'remoteplayback', 'stop', 'command'].forEach(type => {
+            sync.on(type, detail => events.push({ type, detail }));
+        });
+        return {
+            sync,
+            events,
+            eventsOf: (type) => events.filter(event => event.type === type).map(event => event.detail)
+        };
+    }
+
+    /**
+     * Silences a tab without a goodbye (a crashed or frozen tab).
+     */
+    function crash(tabId) {
+        channelOf[tabId].close();
+    }
+
+    return { clock, open, crash };
+}
+
+/**
+ * Opens tabs one after the other, each after the previous one settled.
+ */
+async function openTabs(browser, ids) {
+    const tabs = [];
+    for (const id of ids) {
+        const tab = browser.open(id);
+        tab.sync.start();
+        await browser.clock.advance(LEADER_CLAIM_DELAY);
+        tabs.push(tab);
+    }
+    return tabs;
+}
+
+// --- Leader Election ---
+
+describe('leader election', () => {
+    it('makes the first tab leader after the claim delay', async () => {
+        const browser = createBrowser();
+        const a = browser.open('tab-a');
+        a.sync.start();
+        assert.equal(a.sync.isLeader(), false);
+
+        await browser.clock.advance(LEADER_CLAIM_DELAY);
+        assert.equal(a.sync.isLeader(), true);
+        assert.deepEqual(a.eventsOf('leaderchange'), [{ isLeader: true }]);
+    });
+
+    it('keeps a new tab a follower of the current leader', async () => {
+        const browser = createBrowser();
+        const [b, a] = await openTabs(browser, ['tab-b', 'tab-a']);
+        await browser.clock.advance(HEARTBEAT_INTERVAL * 3);
+
+        assert.equal(b.sync.isLeader(), true); // Even though tab-a has the smaller id
+        assert.equal(a.sync.isLeader(), false);
+        assert.deepEqual(a.eventsOf('leaderchange'), []);
+    });
+
+    it('keeps the smaller id when tabs claim at the same time', async () => {
+        const browser = createBrowser();
+        const b = browser.open('tab-b');
+        const a = browser.open('tab-a');
+        b.sync.start();
+        a.sync.start();
+        await browser.clock.advance(LEADER_CLAIM_DELAY + HEARTBEAT_INTERVAL);
+
+        assert.equal(a.sync.isLeader(), true);
+        assert.equal(b.sync.isLeader(), false);
+    });
+
+    it('hands the leadership over when the leader leaves', async () => {
+        const browser = createBrowser();
+        const [a, b] = await openTabs(browser, ['tab-a', 'tab-b']);
+        a.sync.destroy();
+        await browser.clock.advance(0);
+
+        assert.equal(b.sync.isLeader(), true);
+        assert.deepEqual(a.eventsOf('leaderchange').at(-1), { isLeader: false });
+    });
+
+    it('takes over from a leader that went silent', async () => {
+        const browser = createBrowser();
+        const [, b] = await openTabs(browser, ['tab-a', 'tab-b']);
+        browser.crash('tab-a');
+
+        await browser.clock.advance(TAB_TIMEOUT);
+        assert.equal(b.sync.isLeader(), false);
+        await browser.clock.advance(HEARTBEAT_INTERVAL * 2);
+        assert.equal(b.sync.isLeader(), true);
+    });
+
+    it('leads alone without BroadcastChannel', () => {
+        const sync = createTabSync({ BroadcastChannel: null, clock: createFakeClock() });
+        sync.start();
+        assert.equal(sync.isLeader(), true);
+        assert.equal(sync.sendCommand('stop'), false);
+    });
+
+    it('rejoins after destroy and start (back/forward cache)', async () => {
+        const browser = createBrowser();
+        const [a, b] = await openTabs(browser, ['tab-a', 'tab-b']);
+        a.sync.destroy();
+        await browser.clock.advance(0);
+        a.sync.start();
+        await browser.clock.advance(LEADER_CLAIM_DELAY + HEARTBEAT_INTERVAL);
+        b.sync.shareStationData({ station: { shortcode: 'aramesh' } });
+        await browser.clock.advance(0);
+
+        assert.equal(b.sync.isLeader(), true);
+        assert.equal(a.sync.isLeader(), false);
+        assert.deepEqual(a.eventsOf('stationdata'), [{ stationData: { station: { shortcode: 'aramesh' } } }]);
+    });
+});
+
+// --- Now Playing Data ---
+
+describe('station data', () => {
+    it('is shared by the leader only', async () => {
+        const browser = createBrowser();
+        const [a, b] = await openTabs(browser, ['tab-a', 'tab-b']);
+        a.sync.shareStationData({ station: { shortcode: 'aramesh' } });
+        b.sync.shareStationData({ station: { shortcode: 'owj' } });
+        await browser.clock.advance(0);
+
+        assert.deepEqual(b.eventsOf('stationdata'), [{ stationData: { station: { shortcode: 'aramesh' } } }]);
+        assert.deepEqual(a.eventsOf('stationdata'), []);
+    });
+});
+
+// --- Playback ---
+
+describe('playback', () => {
+    it('shows the playing tab to the others', async () => {
+        const browser = createBrowser();
+        const [a, b] = await openTabs(browser, ['tab-a', 'tab-b']);
+        a.sync.setPlayback({ state: 'playing', shortcode: 'aramesh' });
+        await browser.clock.advance(0);
+
+        assert.deepEqual(b.sync.getRemotePlayback(), { tabId: 'tab-a', state: 'playing', shortcode: 'aramesh' });
+        assert.deepEqual(b.eventsOf('remoteplayback'), [{ playback: { tabId: 'tab-a', state: 'playing', shortcode: 'aramesh' } }]);
+
+        a.sync.setPlayback(null);
+        await browser.clock.advance(0);
+        assert.equal(b.sync.getRemotePlayback(), null);
+    });
+
+    it('stops the playing tab when another one starts', async () => {
+        const browser = createBrowser();
+        const [a, b] = await openTabs(browser, ['tab-a', 'tab-b']);
+        a.sync.setPlayback({ state: 'playing', shortcode: 'aramesh' });
+        await browser.clock.advance(500);
+        b.sync.setPlayback({ state: 'loading', shortcode: 'owj' });
+        await browser.clock.advance(0);
+
+        assert.deepEqual(a.eventsOf('stop'), [{}]);
+        assert.deepEqual(b.eventsOf('stop'), []);
+        assert.deepEqual(a.sync.getRemotePlayback(), { tabId: 'tab-b', state: 'loading', shortcode: 'owj' });
+        assert.equal(b.sync.getRemotePlayback(), null);
+    });
+
+    it('keeps the smaller id playing when two tabs start at the same time', async () => {
+        const browser = createBrowser();
+        const [a, b] = await openTabs(browser, ['tab-a', 'tab-b']);
+        b.sync.setPlayback({ state: 'loading', shortcode: 'owj' });
+        a.sync.setPlayback({ state: 'loading', shortcode: 'aramesh' });
+        await browser.clock.advance(0);
+
+        assert.deepEqual(a.eventsOf('stop'), []);
+        assert.deepEqual(b.eventsOf('stop'), [{}]);
+        assert.equal(b.sync.getRemotePlayback().tabId, 'tab-a');
+    });
+
+    it('keeps the start time while the state changes', async () => {
+        const browser = createBrowser();
+        const [a, b] = await openTabs(browser, ['tab-a', 'tab-b']);
+        a.sync.setPlayback({ state: 'loading', shortcode: 'aramesh' });
+        await browser.clock.advance(500);
+        b.sync.setPlayback({ state: 'loading', shortcode: 'owj' });
+        a.sync.setPlayback({ state: 'playing', shortcode: 'aramesh' }); // Crosses b's announcement
+        await browser.clock.advance(0);
+
+        assert.deepEqual(a.eventsOf('stop'), [{}]);
+        assert.deepEqual(b.eventsOf('stop'), []);
+    });
+
+    it('forgets a playing tab that went silent', async () => {
+        const browser = createBrowser();
+        const [a, b] = await openTabs(browser, ['tab-a', 'tab-b']);
+        b.sync.setPlayback({ state: 'playing', shortcode: 'owj' });
+        await browser.clock.advance(0);
+        assert.equal(a.sync.getRemotePlayback().tabId, 'tab-b');
+
+        browser.crash('tab-b');
+        await browser.clock.advance(TAB_TIMEOUT + HEARTBEAT_INTERVAL);
+        assert.equal(a.sync.getRemotePlayback(), null);
+        assert.deepEqual(a.eventsOf('remoteplayback').at(-1), { playback: null });
+        assert.equal(a.sync.sendCommand('stop'), false);
+    });
+});
+
+// --- Remote Control ---
+
+describe('remote control', () => {
+    it('sends commands to the playing tab only', async () => {
+        const browser = createBrowser();
+        const [a, b, c] = await openTabs(browser, ['tab-a', 'tab-b', 'tab-c']);
+        b.sync.setPlayback({ state: 'playing', shortcode: 'aramesh' });
+        await browser.clock.advance(0);
+
+        assert.equal(a.sync.sendCommand('select', { shortcode: 'owj' }), true);
+        assert.equal(a.sync.sendCommand('stop'), true);
+        await browser.clock.advance(0);
+
+        assert.deepEqual(b.eventsOf('command'), [{ command: 'select', shortcode: 'owj' }, { command: 'stop', shortcode: undefined }]);
+        assert.deepEqual(c.eventsOf('command'), []);
+    });
+
+    it('has no target while no other tab plays', async () => {
+        const browser = createBrowser();
+        const [a] = await openTabs(browser, ['tab-a', 'tab-b']);
+        assert.equal(a.sync.sendCommand('stop'), false);
+    });
+});